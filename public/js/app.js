@@ -8,11 +8,14 @@ const API_URL = '/api/spotify';
 
 // DOM Elements
 const artistInput = document.getElementById('artistInput');
+const artistSuggestions = document.getElementById('artistSuggestions');
 const searchArtistBtn = document.getElementById('searchArtistBtn');
-const albumSelect = document.getElementById('albumSelect');
-const loadAlbumBtn = document.getElementById('loadAlbumBtn');
+const albumFilters = document.getElementById('albumFilters');
+const albumSort = document.getElementById('albumSort');
 const playAlbumBtn = document.getElementById('playAlbumBtn');
 const transportPlayPauseBtn = document.getElementById('transportPlayPauseBtn');
+const transportPrevBtn = document.getElementById('transportPrevBtn');
+const transportNextBtn = document.getElementById('transportNextBtn');
 const loginButton = document.getElementById('loginButton');
 const logoutButton = document.getElementById('logoutButton');
 const vinyl = document.getElementById('vinyl');
@@ -20,14 +23,44 @@ const tonearm = document.getElementById('tonearm');
 const albumCover = document.getElementById('albumCover');
 const albumInfo = document.getElementById('albumInfo');
 const trackList = document.getElementById('trackList');
-const audioPlayer = document.getElementById('audioPlayer');
 
 // Application state
 let currentArtist = null;
 let currentAlbum = null;
 let currentTrack = null;
+
+// Ignore album lists for an artist or filters that are no longer shown
+let albumsRequestId = 0;
+
+// Tracks on the turntable: the whole record, or one side of it in side mode
+let recordTracks = [];
 let isPlaying = false;
 
+// What the tonearm follows: 'sdk', 'preview' or 'vinyl'
+let playbackSource = null;
+
+// Track we last asked Spotify to play; until it reports that track, older states are stale
+const PLAY_REQUEST_GRACE_MS = 5000;
+let requestedTrackId = null;
+let requestedAt = 0;
+
+// Track whose record is being looked up after playback moved to it from elsewhere
+let followingTrackId = null;
+
+// Simulated playback for tracks without audio: { durationMs, positionMs, resumedAt }
+let vinylClock = null;
+let vinylSoundTimer = null;
+let vinylProgressTimer = null;
+const VINYL_PROGRESS_MS = 500;
+
+// Artist typeahead state
+const TYPEAHEAD_DELAY_MS = 300;
+const TYPEAHEAD_MIN_CHARS = 2;
+let suggestedArtists = [];
+let highlightedSuggestion = -1;
+let typeaheadTimer = null;
+let typeaheadRequestId = 0;
+
 /**
  * Initialize the application
  */
@@ -38,19 +71,23 @@ async function initApp() {
   // Set up event listeners
   setupEventListeners();
   
-  // Check URL parameters for callback
+  // Logged-in users can also pick from their saved albums and playlists
+  if (window.spotifyAuth.getAuthState().authenticated) {
+    window.recordCrate.loadCrate();
+    window.playlistPicker.loadPlaylists();
+    window.listeningHistory.enableHistory();
+    window.connectDevices.enableDevices();
+  }
+  
+  // Check URL parameters for a completed login (failures get their own error page)
   const urlParams = new URLSearchParams(window.location.search);
-  const code = urlParams.get('code');
-  const error = urlParams.get('error');
   
-  if (code) {
-    // Remove code from URL to prevent refresh issues
+  if (urlParams.get('login') === 'success') {
+    // Remove the flag from URL to prevent refresh issues
     window.history.replaceState({}, document.title, '/');
     
     // Show a notification
     showNotification('Successfully connected to Spotify!');
-  } else if (error) {
-    showNotification(`Authentication error: ${error}`);
   }
   
   console.log('Virtual Vinyl Player initialized');
@@ -72,8 +109,8 @@ function setupEventListeners() {
   // Artist search button
   searchArtistBtn.addEventListener('click', handleArtistSearch);
   
-  // Album load button
-  loadAlbumBtn.addEventListener('click', handleAlbumLoad);
+  // Release type toggles, sort order and edition preference refetch the album list
+  albumFilters.addEventListener('change', handleAlbumFilterChange);
   
   // Album play button (on vinyl)
   playAlbumBtn.addEventListener('click', handlePlayPauseToggle);
@@ -81,6 +118,20 @@ function setupEventListeners() {
   // Transport play/pause button
   transportPlayPauseBtn.addEventListener('click', handlePlayPauseToggle);
   
+  // Transport previous/next buttons step through the queue
+  transportPrevBtn.addEventListener('click', playPreviousTrack);
+  transportNextBtn.addEventListener('click', playNextTrack);
+  
+  // Hardware media keys, the OS media overlay and keyboard shortcuts
+  window.mediaKeys.setActions({
+    togglePlay: handlePlayPauseToggle,
+    play: () => { if (!isPlaying) handlePlayPauseToggle(); },
+    pause: () => { if (isPlaying) handlePlayPauseToggle(); },
+    next: playNextTrack,
+    previous: playPreviousTrack,
+    seek: handleTonearmSeek
+  });
+  
   // Vinyl click to play
   vinyl.addEventListener('click', (event) => {
     // Only trigger if clicking on the vinyl itself, not the play button
@@ -89,58 +140,86 @@ function setupEventListeners() {
     }
   });
   
-  // Allow pressing Enter in the artist input field
-  artistInput.addEventListener('keypress', (event) => {
-    if (event.key === 'Enter') {
-      handleArtistSearch();
-    }
+  // Typeahead suggestions while typing an artist name
+  artistInput.addEventListener('input', scheduleArtistSuggestions);
+  
+  // Arrow keys move through suggestions, Enter searches or picks one
+  artistInput.addEventListener('keydown', handleArtistInputKeydown);
+  
+  // Close suggestions when focus leaves the search box
+  artistInput.addEventListener('blur', hideArtistSuggestions);
+  
+  // Preview events, from whichever deck is playing
+  window.previewDecks.onActiveDeck('ended', handleTrackEnded);
+  window.previewDecks.onActiveDeck('playing', () => {
+    playbackSource = 'preview';
+  });
+  window.previewDecks.onActiveDeck('timeupdate', (event) => {
+    const deck = event.target;
+    updatePlaybackProgress('preview', deck.currentTime * 1000, deck.duration * 1000);
+    window.listeningHistory.reportProgress(deck.currentTime * 1000, deck.duration * 1000);
   });
   
-  // Audio player events
-  audioPlayer.addEventListener('ended', handleTrackEnded);
-  audioPlayer.addEventListener('error', handlePlaybackError);
+  // The decks preload the next preview and move on to it a moment before (or a crossfade before) the end
+  window.previewDecks.setUpcoming(getUpcomingPreview);
+  window.previewDecks.onTransition(handleTrackEnded);
+  
+  // Dropping the tonearm somewhere on the record seeks
+  window.tonearmControl.onSeek(handleTonearmSeek);
+  
+  // The RPM switch speeds up the vinyl sound along with the preview
+  window.turntableSpeed.onSpeedChange(handleSpeedChange);
+  
+  // Side mode: the next side plays once the record is flipped
+  window.recordSides.onSideFlip(handleSideFlip);
+  window.previewDecks.onActiveDeck('error', handlePlaybackError);
 }
 
 /**
  * Make API requests with error handling
  * @param {string} endpoint - API endpoint
  * @param {Object} params - URL parameters
+ * @param {Object} [options] - HTTP method and JSON body for requests that change data,
+ *   and baseUrl for APIs outside /api/spotify
  * @returns {Promise<Object>} Response data
  */
-async function apiRequest(endpoint, params = {}) {
+async function apiRequest(endpoint, params = {}, { method = 'GET', body, baseUrl = API_URL } = {}) {
   try {
-    // Add auth token if available
-    const authState = window.spotifyAuth.getAuthState();
-    const headers = {};
-    
-    if (authState.authenticated) {
-      headers['X-Spotify-Token'] = authState.accessToken;
-    }
-    
     // Build query string
     const queryString = Object.keys(params)
       .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(params[key])}`)
       .join('&');
     
-    const url = `${API_URL}${endpoint}${queryString ? '?' + queryString : ''}`;
+    const url = `${baseUrl}${endpoint}${queryString ? '?' + queryString : ''}`;
     
     console.log(`Making API request to: ${url}`);
     
-    const response = await fetch(url, { headers });
+    // The session cookie tells the server to use the logged-in user's token and market
+    const response = await fetch(url, {
+      method,
+      credentials: 'same-origin',
+      headers: body ? { 'Content-Type': 'application/json' } : undefined,
+      body: body ? JSON.stringify(body) : undefined
+    });
     
     // Check if the response is OK
     if (!response.ok) {
       const errorText = await response.text();
       console.error(`API error (${response.status}):`, errorText);
       
+      let message;
       try {
         // Try to parse as JSON
         const errorData = JSON.parse(errorText);
-        throw new Error(errorData.error || `HTTP error ${response.status}`);
+        message = errorData.error || `HTTP error ${response.status}`;
       } catch (jsonError) {
         // If parsing fails, use the raw text
-        throw new Error(`Server error: ${response.status} - ${errorText.substring(0, 100)}`);
+        message = `Server error: ${response.status} - ${errorText.substring(0, 100)}`;
       }
+      
+      const apiError = new Error(message);
+      apiError.status = response.status;
+      throw apiError;
     }
     
     // Parse the JSON response
@@ -177,19 +256,16 @@ async function handleArtistSearch() {
     searchArtistBtn.textContent = 'Searching...';
     searchArtistBtn.disabled = true;
     
-    // Search for artist
-    currentArtist = await apiRequest('/artist', { name: artistName });
+    // Use the typeahead pick if there is one, otherwise take the best match
+    const suggestion = suggestedArtists[highlightedSuggestion];
+    hideArtistSuggestions();
+    if (suggestion) {
+      artistInput.value = suggestion.name;
+    }
+    const artist = suggestion || await apiRequest('/artist', { name: artistName });
     
-    if (currentArtist) {
-      // Get albums for this artist
-      const albums = await apiRequest(`/artist/${currentArtist.id}/albums`);
-      
-      // Populate album dropdown
-      populateAlbumDropdown(albums);
-      
-      // Enable album selection
-      albumSelect.disabled = false;
-      loadAlbumBtn.disabled = false;
+    if (artist) {
+      await selectArtist(artist);
     } else {
       alert(`Artist "${artistName}" not found. Please try another name.`);
     }
@@ -204,54 +280,362 @@ async function handleArtistSearch() {
 }
 
 /**
- * Handle album load button click
+ * Make an artist current: show their panel and list their releases
+ * Also used to move on to a related artist from the panel.
+ * @param {Object} artist - Artist object
+ */
+async function selectArtist(artist) {
+  currentArtist = artist;
+  artistInput.value = artist.name;
+  window.artistPanel.showArtist(artist);
+  await loadArtistAlbums();
+}
+
+/**
+ * Debounce typeahead lookups while the user types
  */
-async function handleAlbumLoad() {
-  const albumId = albumSelect.value;
+function scheduleArtistSuggestions() {
+  clearTimeout(typeaheadTimer);
   
-  if (!albumId) {
+  const query = artistInput.value.trim();
+  if (query.length < TYPEAHEAD_MIN_CHARS) {
+    hideArtistSuggestions();
     return;
   }
   
+  typeaheadTimer = setTimeout(() => fetchArtistSuggestions(query), TYPEAHEAD_DELAY_MS);
+}
+
+/**
+ * Fetch matching artists for the typeahead dropdown
+ * @param {string} query - Text typed so far
+ */
+async function fetchArtistSuggestions(query) {
+  // Ignore responses that arrive after a newer lookup was started
+  const requestId = ++typeaheadRequestId;
+  
   try {
-    // Show loading state
-    loadAlbumBtn.textContent = 'Loading...';
-    loadAlbumBtn.disabled = true;
+    const results = await apiRequest('/search', { q: query, type: 'artist', limit: 8 });
     
-    // Fetch album details
-    currentAlbum = await apiRequest(`/album/${albumId}`);
+    if (requestId !== typeaheadRequestId || document.activeElement !== artistInput) {
+      return;
+    }
+    
+    renderArtistSuggestions(results.artists ? results.artists.items : []);
+  } catch (error) {
+    console.error('Error fetching artist suggestions:', error);
+  }
+}
+
+/**
+ * Render the typeahead dropdown
+ * @param {Array} artists - Artist objects from the search endpoint
+ */
+function renderArtistSuggestions(artists) {
+  suggestedArtists = artists;
+  highlightedSuggestion = -1;
+  artistSuggestions.innerHTML = '';
+  
+  if (artists.length === 0) {
+    hideArtistSuggestions();
+    return;
+  }
+  
+  artists.forEach((artist, index) => {
+    const item = document.createElement('li');
+    item.className = 'artist-suggestion';
+    item.setAttribute('role', 'option');
     
-    // Log preview availability for debugging
-    const tracksWithPreviews = currentAlbum.tracks.items.filter(track => track.preview_url).length;
-    console.log(`Album: ${currentAlbum.name}`);
-    console.log(`Tracks with previews: ${tracksWithPreviews}/${currentAlbum.tracks.items.length}`);
-    console.log('Sample track preview URL:', currentAlbum.tracks.items[0]?.preview_url || 'none');
+    const image = document.createElement('img');
+    image.className = 'artist-suggestion-image';
+    image.alt = '';
+    // Smallest image is last, which is plenty for a thumbnail
+    if (artist.images && artist.images.length > 0) {
+      image.src = artist.images[artist.images.length - 1].url;
+    }
     
-    // Update UI with album details
-    updateAlbumDisplay(currentAlbum);
+    const details = document.createElement('div');
     
-    // Create track listing
-    createTrackList(currentAlbum.tracks.items);
+    const name = document.createElement('div');
+    name.className = 'artist-suggestion-name';
+    name.textContent = artist.name;
     
-    // Don't auto-play, just set up the vinyl to be ready
-    stopPlayback();
+    const meta = document.createElement('div');
+    meta.className = 'artist-suggestion-meta';
+    meta.textContent = formatArtistMeta(artist);
+    
+    details.appendChild(name);
+    details.appendChild(meta);
+    item.appendChild(image);
+    item.appendChild(details);
     
-    // Enable transport button
-    transportPlayPauseBtn.disabled = false;
+    // mousedown fires before the input's blur, so the pick isn't lost
+    item.addEventListener('mousedown', (event) => {
+      event.preventDefault();
+      highlightedSuggestion = index;
+      artistInput.value = artist.name;
+      handleArtistSearch();
+    });
     
-    // Create a notification
-    showNotification('Album loaded! Click the record to play.');
+    artistSuggestions.appendChild(item);
+  });
+  
+  artistSuggestions.classList.add('open');
+  artistInput.setAttribute('aria-expanded', 'true');
+}
+
+/**
+ * Describe an artist for the typeahead, e.g. "1.2M followers • grunge, rock"
+ * @param {Object} artist - Artist object
+ * @returns {string} Follower count and top genres
+ */
+function formatArtistMeta(artist) {
+  const parts = [];
+  
+  if (artist.followers && typeof artist.followers.total === 'number') {
+    const followers = new Intl.NumberFormat(undefined, { notation: 'compact' }).format(artist.followers.total);
+    parts.push(`${followers} followers`);
+  }
+  
+  if (artist.genres && artist.genres.length > 0) {
+    parts.push(artist.genres.slice(0, 3).join(', '));
+  }
+  
+  return parts.join(' • ');
+}
+
+/**
+ * Close the typeahead dropdown and forget its results
+ */
+function hideArtistSuggestions() {
+  clearTimeout(typeaheadTimer);
+  typeaheadRequestId++;
+  suggestedArtists = [];
+  highlightedSuggestion = -1;
+  artistSuggestions.innerHTML = '';
+  artistSuggestions.classList.remove('open');
+  artistInput.setAttribute('aria-expanded', 'false');
+}
+
+/**
+ * Keyboard handling for the artist input
+ * @param {KeyboardEvent} event - Keydown event
+ */
+function handleArtistInputKeydown(event) {
+  if (event.key === 'Enter') {
+    handleArtistSearch();
+    return;
+  }
+  
+  if (suggestedArtists.length === 0) return;
+  
+  if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+    event.preventDefault();
+    const step = event.key === 'ArrowDown' ? 1 : -1;
+    highlightedSuggestion = (highlightedSuggestion + step + suggestedArtists.length) % suggestedArtists.length;
     
+    artistSuggestions.querySelectorAll('.artist-suggestion').forEach((item, index) => {
+      item.classList.toggle('highlighted', index === highlightedSuggestion);
+      if (index === highlightedSuggestion) {
+        item.scrollIntoView({ block: 'nearest' });
+      }
+    });
+  } else if (event.key === 'Escape') {
+    hideArtistSuggestions();
+  }
+}
+
+/**
+ * Get the album list query from the release type toggles, sort and edition selectors
+ * @returns {Object} Query parameters for the artist albums endpoint
+ */
+function getAlbumQuery() {
+  const releaseTypes = Array.from(albumFilters.querySelectorAll('input[name="releaseType"]:checked'))
+    .map(input => input.value);
+  const [sort, order] = albumSort.value.split(':');
+  
+  return {
+    include_groups: releaseTypes.join(','),
+    sort,
+    order,
+    edition: window.discography.getEditionPreference()
+  };
+}
+
+/**
+ * Fetch the current artist's records and lay them out on the discography timeline
+ */
+async function loadArtistAlbums() {
+  const query = getAlbumQuery();
+  const requestId = ++albumsRequestId;
+  
+  if (!query.include_groups) {
+    window.discography.showMessage('Select at least one release type');
+    return;
+  }
+  
+  window.discography.showMessage('Loading records...');
+  
+  let albums;
+  try {
+    albums = await apiRequest(`/artist/${currentArtist.id}/albums`, query);
   } catch (error) {
-    console.error('Error loading album:', error);
-    alert(`An error occurred while loading the album: ${error.message}`);
-  } finally {
-    // Reset button state
-    loadAlbumBtn.textContent = 'Load Album';
-    loadAlbumBtn.disabled = false;
+    if (requestId === albumsRequestId) window.discography.showMessage('Could not load the records');
+    throw error;
+  }
+  
+  // The server keeps one edition of each record
+  if (requestId === albumsRequestId) window.discography.render(albums);
+}
+
+/**
+ * Handle release type, sort or edition changes
+ */
+async function handleAlbumFilterChange() {
+  if (!currentArtist) return;
+  
+  try {
+    await loadArtistAlbums();
+  } catch (error) {
+    console.error('Error refreshing albums:', error);
+    showNotification(`Could not refresh albums: ${error.message}`);
+  }
+}
+
+/**
+ * Fetch an album and put it on the turntable
+ * Shared by the discography timeline and the record crate
+ * @param {string} albumId - Spotify album id
+ * @returns {Promise<Object>} Album data
+ */
+async function loadAlbumById(albumId) {
+  // Fetch album details
+  const album = await apiRequest(`/album/${albumId}`);
+  
+  // Log preview availability for debugging
+  const tracksWithPreviews = album.tracks.items.filter(track => track.preview_url).length;
+  console.log(`Album: ${album.name}`);
+  console.log(`Tracks with previews: ${tracksWithPreviews}/${album.tracks.items.length}`);
+  console.log('Sample track preview URL:', album.tracks.items[0]?.preview_url || 'none');
+  
+  loadRecord(album);
+  
+  // Create a notification
+  showNotification('Album loaded! Click the record to play.');
+  
+  return album;
+}
+
+/**
+ * Put an album on the turntable
+ * Anything shaped like an album (name, artists, images, tracks.items) can be loaded
+ * @param {Object} album - Album data
+ * @param {Object} [options] - Whether to start playing, and from which track
+ */
+function loadRecord(album, { autoplay = false, startIndex = 0 } = {}) {
+  currentAlbum = album;
+  currentTrack = null;
+  
+  // Update UI with album details
+  updateAlbumDisplay(album);
+  
+  if (album.type === 'album') {
+    window.libraryHearts.checkSaved('albums', [album.id]);
+  }
+  
+  // Don't auto-play unless asked, just set up the vinyl to be ready
+  stopPlayback();
+  
+  // Enable transport buttons
+  setTransportEnabled(true);
+  
+  // In side mode only the side with the start track goes on
+  const side = window.recordSides.splitRecord(album, startIndex);
+  putOnTracks(side ? side.tracks : album.tracks.items, {
+    autoplay,
+    startIndex: side ? side.indexes.indexOf(startIndex) : startIndex
+  });
+}
+
+/**
+ * Show a record's tracks (or one side's) and make them the queue
+ * @param {Array} tracks - Tracks to put on
+ * @param {Object} [options] - Whether to start playing, and from which track
+ */
+function putOnTracks(tracks, { autoplay = false, startIndex = 0 } = {}) {
+  recordTracks = tracks;
+  
+  // Create track listing; playlists and mixes name each track's artists
+  createTrackList(tracks, { showArtists: currentAlbum.type !== 'album' });
+  
+  // Fill in the library hearts in one batch
+  window.libraryHearts.checkSaved('tracks', tracks.map(track => track.id));
+  
+  // The tracks become the queue; anything queued by hand stays in front of them
+  const shouldPlay = autoplay && tracks[startIndex];
+  const entry = window.playQueue.loadContext(tracks, currentAlbum, shouldPlay ? startIndex : -1);
+  
+  if (shouldPlay) {
+    playQueueEntry(entry);
+  }
+}
+
+/**
+ * Play the new side once the record has been flipped
+ * @param {Object} side - Side from recordSides
+ */
+function handleSideFlip(side) {
+  putOnTracks(side.tracks, { autoplay: true });
+}
+
+/**
+ * Enable or disable the transport buttons
+ * @param {boolean} enabled - Whether the buttons can be used
+ */
+function setTransportEnabled(enabled) {
+  transportPlayPauseBtn.disabled = !enabled;
+  transportPrevBtn.disabled = !enabled;
+  transportNextBtn.disabled = !enabled;
+}
+
+/**
+ * Play a queue entry, highlighting its row when it's on the turntable
+ * @param {Object} entry - Queue entry
+ */
+function playQueueEntry(entry) {
+  if (!entry) return;
+  const onTurntable = entry.source === currentAlbum && recordTracks[entry.sourceIndex] === entry.track;
+  playTrack(entry.track, onTurntable ? entry.sourceIndex : -1);
+}
+
+/**
+ * Play a row of the loaded record, restarting the queue from it
+ * @param {number} index - Track index on the record
+ */
+function playTrackFromRecord(index) {
+  playQueueEntry(window.playQueue.loadContext(recordTracks, currentAlbum, index));
+}
+
+/**
+ * Skip to the next track in the queue
+ */
+function playNextTrack() {
+  const entry = window.playQueue.next();
+  
+  if (entry) {
+    playQueueEntry(entry);
+  } else {
+    stopPlayback();
   }
 }
 
+/**
+ * Go back to the previous track in the queue
+ */
+function playPreviousTrack() {
+  playQueueEntry(window.playQueue.previous());
+}
+
 /**
  * Handle play/pause toggle
  */
@@ -275,8 +659,9 @@ function handlePlayPauseToggle() {
       } else {
         resumePlayback();
       }
-    } else if (currentAlbum.tracks.items.length > 0) {
-      playTrack(currentAlbum.tracks.items[0], 0);
+    } else {
+      // Nothing played yet: start at the front of the queue
+      playQueueEntry(window.playQueue.next());
     }
   }
 }
@@ -285,51 +670,45 @@ function handlePlayPauseToggle() {
  * Reset album selection UI elements
  */
 function resetAlbumSelection() {
-  albumSelect.innerHTML = '<option value="">Select an album</option>';
-  albumSelect.disabled = true;
-  loadAlbumBtn.disabled = true;
+  window.discography.clear();
   stopPlayback();
 }
 
-/**
- * Populate album dropdown with available albums
- * @param {Array} albums - List of album objects
- */
-function populateAlbumDropdown(albums) {
-  // Clear existing options except the placeholder
-  albumSelect.innerHTML = '<option value="">Select an album</option>';
-  
-  // Add album options, removing duplicates by name
-  const uniqueAlbums = {};
-  
-  albums.forEach(album => {
-    // Skip if we already have this album name (to handle duplicates)
-    if (uniqueAlbums[album.name]) {
-      return;
-    }
-    
-    uniqueAlbums[album.name] = album;
-    
-    const option = document.createElement('option');
-    option.value = album.id;
-    option.textContent = album.name;
-    albumSelect.appendChild(option);
-  });
-}
-
 /**
  * Update the album display with the selected album
  * @param {Object} album - Album data
  */
 function updateAlbumDisplay(album) {
   // Update album info
-  albumInfo.innerHTML = `
-    <h2>${album.name}</h2>
-    <p>${album.artists[0].name} • ${album.release_date.slice(0, 4)} • ${album.total_tracks} tracks</p>
-  `;
+  const details = [
+    album.artists && album.artists[0] ? album.artists[0].name : null,
+    album.release_date ? album.release_date.slice(0, 4) : null,
+    `${album.total_tracks || album.tracks.items.length} tracks`
+  ].filter(Boolean);
+  
+  // Playlist and owner names are written by other users, so they go in as text
+  const title = document.createElement('h2');
+  title.textContent = album.name;
   
-  // Set album cover image
-  if (album.images.length > 0) {
+  const meta = document.createElement('p');
+  meta.textContent = details.join(' • ');
+  
+  albumInfo.innerHTML = '';
+  albumInfo.appendChild(title);
+  albumInfo.appendChild(meta);
+  
+  // Only real albums can be saved to the library as a whole
+  if (album.type === 'album') {
+    const heart = window.libraryHearts.createHeartButton('albums', album.id, album.name);
+    if (heart) albumInfo.querySelector('h2').appendChild(heart);
+  }
+  
+  // Set album cover image, or a 2x2 mosaic of album covers for playlists
+  albumCover.classList.toggle('mosaic', Boolean(album.mosaic && album.mosaic.length));
+  
+  if (album.mosaic && album.mosaic.length) {
+    albumCover.style.backgroundImage = album.mosaic.map(url => `url(${url})`).join(', ');
+  } else if (album.images.length > 0) {
     albumCover.style.backgroundImage = `url(${album.images[0].url})`;
   } else {
     albumCover.style.backgroundImage = 'none';
@@ -339,8 +718,9 @@ function updateAlbumDisplay(album) {
 /**
  * Create the track listing for the album
  * @param {Array} tracks - List of track objects
+ * @param {Object} [options] - showArtists: add each track's artists to its title
  */
-function createTrackList(tracks) {
+function createTrackList(tracks, { showArtists = false } = {}) {
   // Clear existing track list
   trackList.innerHTML = '';
   
@@ -360,7 +740,12 @@ function createTrackList(tracks) {
     
     // Check for Spotify authentication for full track playback
     const authState = window.spotifyAuth.getAuthState();
-    if (authState.authenticated) {
+    if (track.is_playable === false) {
+      // Only present when the server asked for the user's market
+      trackElement.classList.add('unplayable');
+      previewIndicator.classList.add('track-preview-unavailable');
+      previewIndicator.title = 'Not available in your market';
+    } else if (authState.authenticated) {
       previewIndicator.classList.add('track-preview-available');
       previewIndicator.title = 'Full track playback available';
     } else if (track.preview_url) {
@@ -377,9 +762,36 @@ function createTrackList(tracks) {
     leftSide.appendChild(previewIndicator);
     leftSide.appendChild(trackTitle);
     
-    // Create right side with duration
-    const rightSide = document.createElement('span');
-    rightSide.textContent = formatDuration(track.duration_ms);
+    if (showArtists && track.artists) {
+      const trackArtists = document.createElement('span');
+      trackArtists.className = 'track-artists';
+      trackArtists.textContent = track.artists.map(artist => artist.name).join(', ');
+      leftSide.appendChild(trackArtists);
+    }
+    
+    // Create right side with queue actions and duration
+    const rightSide = document.createElement('div');
+    rightSide.className = 'track-actions';
+    
+    const playNextBtn = createTrackActionButton('⤴', 'Play next', () => {
+      window.playQueue.playNext(track, currentAlbum, index);
+      showNotification(`"${track.name}" will play next`);
+    });
+    
+    const enqueueBtn = createTrackActionButton('+', 'Add to queue', () => {
+      window.playQueue.enqueue(track, currentAlbum, index);
+      showNotification(`Added "${track.name}" to the queue`);
+    });
+    
+    const duration = document.createElement('span');
+    duration.textContent = formatDuration(track.duration_ms);
+    
+    const heart = window.libraryHearts.createHeartButton('tracks', track.id, track.name);
+    if (heart) rightSide.appendChild(heart);
+    
+    rightSide.appendChild(playNextBtn);
+    rightSide.appendChild(enqueueBtn);
+    rightSide.appendChild(duration);
     
     // Add elements to track
     trackElement.appendChild(leftSide);
@@ -387,13 +799,32 @@ function createTrackList(tracks) {
     
     // Add click handler to play this track
     trackElement.addEventListener('click', () => {
-      playTrack(track, index);
+      playTrackFromRecord(index);
     });
     
     trackList.appendChild(trackElement);
   });
 }
 
+/**
+ * Create a small button for a track row that doesn't also play the row
+ * @param {string} label - Button text
+ * @param {string} title - Tooltip
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement} Button
+ */
+function createTrackActionButton(label, title, onClick) {
+  const button = document.createElement('button');
+  button.className = 'track-action';
+  button.textContent = label;
+  button.title = title;
+  button.addEventListener('click', (event) => {
+    event.stopPropagation();
+    onClick();
+  });
+  return button;
+}
+
 /**
  * Play a specific track
  * @param {Object} track - Track data object
@@ -401,31 +832,36 @@ function createTrackList(tracks) {
  */
 function playTrack(track, index) {
   // Update track selection in UI
-  document.querySelectorAll('.track').forEach((el, i) => {
-    if (i === index) {
-      el.classList.add('active');
-    } else {
-      el.classList.remove('active');
-    }
-  });
-  
+  highlightTrackRow(index);
+
   // Set as current track
   currentTrack = track;
   
+  // A fallback timer from the previous track must not end this one
+  stopVinylClock();
+  
+  // Start counting this play towards the listening history
+  window.listeningHistory.trackStarted(track, currentAlbum);
+  window.mediaKeys.setNowPlaying(track, currentAlbum);
+  
   // Check if we can use Spotify Web Playback SDK
   const authState = window.spotifyAuth.getAuthState();
   
   if (authState.authenticated && window.spotifyPlayer) {
     // Try to play using Spotify Web Playback SDK for full track
+    playbackSource = 'sdk';
+    requestedTrackId = track.id;
+    requestedAt = Date.now();
     window.spotifyPlayer.playTrack(`spotify:track:${track.id}`);
     return;
   }
   
   // Start visual playback
   startPlayback();
+  window.spotifyPlayer.updatePlayerInfo(track);
   
-  // Enable transport button
-  transportPlayPauseBtn.disabled = false;
+  // Enable transport buttons
+  setTransportEnabled(true);
   transportPlayPauseBtn.classList.add('paused');
   playAlbumBtn.classList.add('pause');
   playAlbumBtn.classList.remove('play');
@@ -439,8 +875,8 @@ function playTrack(track, index) {
   // Check if track has a preview URL
   if (track.preview_url) {
     // Set source and play
-    audioPlayer.src = track.preview_url;
-    audioPlayer.play()
+    playbackSource = 'preview';
+    window.previewDecks.play(track.preview_url)
       .then(() => {
         // Already started visual playback
         console.log('Preview playing successfully');
@@ -472,28 +908,35 @@ function playTrack(track, index) {
 function startPlayback() {
   isPlaying = true;
   vinyl.classList.add('spinning');
-  tonearm.classList.add('playing');
+  window.tonearmControl.lowerArm();
+  window.platter.start();
+  window.mediaKeys.setPlaybackState('playing');
 }
 
 /**
  * Pause playback
  */
 function pausePlayback() {
-  // Pause audio
-  audioPlayer.pause();
+  pauseVinylClock();
   
-  // Pause vinyl sound if playing
-  if (window.vinylSource && window.audioContext) {
-    window.vinylSource.playbackRate.value = 0;
-    // Some browsers may not support suspend
-    if (window.audioContext.suspend) {
-      window.audioContext.suspend();
+  // Brake the platter; the audio winds down with it and pauses once it stops
+  window.platter.stop(() => {
+    window.previewDecks.pause();
+    
+    // Pause vinyl sound if playing
+    if (window.vinylSource && window.audioContext) {
+      // Some browsers may not support suspend
+      if (window.audioContext.suspend) {
+        window.audioContext.suspend();
+      }
     }
-  }
+  });
   
   // Update UI
   isPlaying = false;
   vinyl.classList.remove('spinning');
+  window.tonearmControl.liftArm();
+  window.mediaKeys.setPlaybackState('paused');
   
   // Update buttons
   transportPlayPauseBtn.classList.remove('paused');
@@ -508,8 +951,9 @@ function pausePlayback() {
  */
 function resumePlayback() {
   // Resume normal audio if available
-  if (audioPlayer.src && audioPlayer.src !== '') {
-    audioPlayer.play()
+  const deck = window.previewDecks.active();
+  if (deck.src && deck.src !== '') {
+    deck.play()
       .then(() => {
         console.log('Resumed audio playback');
       })
@@ -520,7 +964,7 @@ function resumePlayback() {
   
   // Resume vinyl sound if applicable
   if (window.vinylSource && window.audioContext) {
-    window.vinylSource.playbackRate.value = 1;
+    runVinylClock();
     // Some browsers may not support resume
     if (window.audioContext.resume) {
       window.audioContext.resume();
@@ -543,9 +987,7 @@ function resumePlayback() {
  */
 function playVinylSound() {
   // If we had a previous audio source, pause it
-  if (audioPlayer.src) {
-    audioPlayer.pause();
-  }
+  window.previewDecks.stop();
   
   // Create vinyl crackling sound
   const audioContext = new (window.AudioContext || window.webkitAudioContext)();
@@ -574,21 +1016,55 @@ function playVinylSound() {
   filter.type = 'lowpass';
   filter.frequency.value = 5000;
   
+  // Follows the volume knob
+  const gain = audioContext.createGain();
+  gain.gain.value = window.volumeControl.getVolume();
+  
   // Connect to output
   vinylSource.connect(filter);
-  filter.connect(audioContext.destination);
+  filter.connect(gain);
+  gain.connect(audioContext.destination);
   
-  // Start playing and loop
+  // Start playing and loop; the platter sets the speed from here on
+  vinylSource.playbackRate.value = window.turntableSpeed.getPlaybackRate();
   vinylSource.loop = true;
   vinylSource.start();
   
   // Store for later reference
   window.vinylSource = vinylSource;
+  window.vinylGain = gain;
   window.audioContext = audioContext;
   
   // Stop after track duration or default to 3 minutes
-  const duration = currentTrack.duration_ms || 180000;
-  setTimeout(() => {
+  vinylClock = {
+    durationMs: currentTrack.duration_ms || 180000,
+    positionMs: 0,
+    resumedAt: null,
+    rate: window.turntableSpeed.getPlaybackRate()
+  };
+  playbackSource = 'vinyl';
+  runVinylClock();
+}
+
+/**
+ * Get the simulated position of the vinyl sound
+ * @returns {number} Position in ms
+ */
+function getVinylPosition() {
+  const running = vinylClock.resumedAt ? (Date.now() - vinylClock.resumedAt) * vinylClock.rate : 0;
+  return Math.min(vinylClock.positionMs + running, vinylClock.durationMs);
+}
+
+/**
+ * Run the vinyl clock from its current position: move the tonearm and end the track on time
+ */
+function runVinylClock() {
+  if (!vinylClock) return;
+  
+  clearVinylTimers();
+  vinylClock.resumedAt = Date.now();
+  
+  vinylSoundTimer = setTimeout(() => {
     if (window.vinylSource) {
       window.vinylSource.stop();
       window.vinylSource = null;
@@ -596,7 +1072,86 @@ function playVinylSound() {
       // Move to next track
       handleTrackEnded();
     }
-  }, duration);
+  }, (vinylClock.durationMs - vinylClock.positionMs) / vinylClock.rate);
+  
+  vinylProgressTimer = setInterval(() => {
+    updatePlaybackProgress('vinyl', getVinylPosition(), vinylClock.durationMs);
+  }, VINYL_PROGRESS_MS);
+}
+
+/**
+ * Hold the vinyl clock where it is
+ */
+function pauseVinylClock() {
+  if (!vinylClock || !vinylClock.resumedAt) return;
+  
+  vinylClock.positionMs = getVinylPosition();
+  vinylClock.resumedAt = null;
+  clearVinylTimers();
+}
+
+/**
+ * Throw the vinyl clock away
+ */
+function stopVinylClock() {
+  clearVinylTimers();
+  vinylClock = null;
+}
+
+/**
+ * Cancel the vinyl clock's end-of-track and progress timers
+ */
+function clearVinylTimers() {
+  clearTimeout(vinylSoundTimer);
+  clearInterval(vinylProgressTimer);
+}
+
+/**
+ * Run the simulated track's clock at a new turntable speed
+ * A faster turntable gets through the simulated track sooner; the platter
+ * ramps the sound itself.
+ * @param {number} rate - Playback rate, 1 at 33⅓
+ */
+function handleSpeedChange(rate) {
+  if (vinylClock) {
+    const running = Boolean(vinylClock.resumedAt);
+    pauseVinylClock();
+    vinylClock.rate = rate;
+    if (running) {
+      runVinylClock();
+    }
+  }
+}
+
+/**
+ * Pass a playback position to the tonearm, if it's from what's playing now
+ * @param {string} source - 'sdk', 'preview' or 'vinyl'
+ * @param {number} positionMs - Position in the track
+ * @param {number} durationMs - Length of what's playing
+ */
+function updatePlaybackProgress(source, positionMs, durationMs) {
+  if (source !== playbackSource) return;
+  window.tonearmControl.setProgress(positionMs, durationMs);
+  window.mediaKeys.setPosition(positionMs, durationMs);
+}
+
+/**
+ * Seek whatever is playing to where the tonearm was dropped
+ * @param {number} positionMs - Position to seek to
+ */
+function handleTonearmSeek(positionMs) {
+  if (playbackSource === 'sdk') {
+    window.spotifyPlayer.seekPlayback(positionMs);
+  } else if (playbackSource === 'preview') {
+    window.previewDecks.active().currentTime = positionMs / 1000;
+  } else if (playbackSource === 'vinyl' && vinylClock) {
+    const running = Boolean(vinylClock.resumedAt);
+    vinylClock.positionMs = positionMs;
+    vinylClock.resumedAt = null;
+    if (running) {
+      runVinylClock();
+    }
+  }
 }
 
 /**
@@ -609,21 +1164,166 @@ function handleTrackEnded() {
     window.vinylSource = null;
   }
 
-  // Find current track index
-  const currentIndex = currentAlbum.tracks.items.findIndex(track => 
-    track.id === currentTrack.id
-  );
-  
-  // Move to next track if available
-  const nextIndex = currentIndex + 1;
-  if (nextIndex < currentAlbum.tracks.items.length) {
-    playTrack(currentAlbum.tracks.items[nextIndex], nextIndex);
+  // Move on through the queue (repeat-one hands back the same track)
+  const entry = window.playQueue.next({ auto: true });
+  if (entry) {
+    playQueueEntry(entry);
   } else {
-    // End of album
+    // End of the queue, or of the side in side mode
     stopPlayback();
+    window.recordSides.endOfSide();
   }
 }
 
+/**
+ * Bring the turntable in line with what Spotify is actually playing
+ * The SDK and the remote device poller both report here, so a skip, pause or
+ * seek made in the phone app (or anywhere else) moves the record, the track
+ * list and the tonearm too.
+ * @param {Object} snapshot - { track, trackIds, albumId, contextUri, positionMs, durationMs, paused }
+ */
+async function reconcilePlayback(snapshot) {
+  if (!snapshot.track) {
+    showPlayState(!snapshot.paused);
+    return;
+  }
+
+  // Right after we start a track, Spotify can still report the one before it
+  if (requestedTrackId) {
+    if (snapshot.trackIds.includes(requestedTrackId)) {
+      requestedTrackId = null;
+    } else if (Date.now() - requestedAt < PLAY_REQUEST_GRACE_MS) {
+      return;
+    } else {
+      requestedTrackId = null;
+    }
+  }
+
+  if (!isSnapshotTrack(snapshot, currentTrack)) {
+    // The record for this track is already on its way
+    if (snapshot.trackIds.includes(followingTrackId)) return;
+    await followExternalTrack(snapshot);
+  }
+
+  playbackSource = 'sdk';
+  window.spotifyPlayer.updatePlayerInfo(snapshot.track);
+  updatePlaybackProgress('sdk', snapshot.positionMs, snapshot.durationMs);
+  window.listeningHistory.reportProgress(snapshot.positionMs, snapshot.durationMs, snapshot.trackIds[0]);
+  showPlayState(!snapshot.paused);
+}
+
+/**
+ * Whether a snapshot is about a given track
+ * @param {Object} snapshot - Playback snapshot
+ * @param {Object|null} track - Track object
+ * @returns {boolean} Whether it's the same track
+ */
+function isSnapshotTrack(snapshot, track) {
+  return Boolean(track) && snapshot.trackIds.includes(track.id);
+}
+
+/**
+ * Make a track that started elsewhere the current one
+ * Uses the loaded record when the track is on it; otherwise puts on the album
+ * or playlist Spotify is playing from, or the track's own album.
+ * @param {Object} snapshot - Playback snapshot
+ */
+async function followExternalTrack(snapshot) {
+  followingTrackId = snapshot.trackIds[0];
+
+  try {
+    let index = recordTracks.findIndex(track => isSnapshotTrack(snapshot, track));
+
+    if (index < 0) {
+      const record = await fetchPlayingRecord(snapshot);
+      if (record) {
+        const startIndex = record.tracks.items.findIndex(track => isSnapshotTrack(snapshot, track));
+        loadRecord(record, { startIndex });
+        index = recordTracks.findIndex(track => isSnapshotTrack(snapshot, track));
+        showNotification(`Now playing from "${record.name}"`);
+      }
+    }
+
+    // Something that isn't on any record (an episode, say) still shows as playing
+    currentTrack = index >= 0 ? recordTracks[index] : snapshot.track;
+    highlightTrackRow(index);
+
+    // Carry on through the record from here
+    const entry = window.playQueue.current();
+    if (index >= 0 && (!entry || entry.track !== currentTrack)) {
+      window.playQueue.loadContext(recordTracks, currentAlbum, index);
+    }
+
+    window.listeningHistory.trackStarted(currentTrack, currentAlbum);
+    window.mediaKeys.setNowPlaying(currentTrack, currentAlbum);
+  } finally {
+    followingTrackId = null;
+  }
+}
+
+/**
+ * Fetch the record a snapshot's track is playing from
+ * @param {Object} snapshot - Playback snapshot
+ * @returns {Promise<Object|null>} Album or playlist with the track on it, or null
+ */
+async function fetchPlayingRecord(snapshot) {
+  const endpoints = [];
+
+  // Context URIs look like spotify:album:<id> or spotify:playlist:<id>
+  const [, contextType, contextId] = (snapshot.contextUri || '').split(':');
+  if (contextType === 'album' || contextType === 'playlist') {
+    endpoints.push(`/${contextType}/${contextId}`);
+  }
+  if (snapshot.albumId) {
+    endpoints.push(`/album/${snapshot.albumId}`);
+  }
+
+  for (const endpoint of endpoints) {
+    try {
+      const record = await apiRequest(endpoint);
+      if (record.tracks.items.some(track => isSnapshotTrack(snapshot, track))) {
+        return record;
+      }
+    } catch (error) {
+      console.error('Error loading the record that is playing:', error);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Spin or stop the turntable to match the player
+ * @param {boolean} playing - Whether the player is playing
+ */
+function showPlayState(playing) {
+  window.playerIsPlaying = playing;
+  if (playing === isPlaying) return;
+
+  if (playing) {
+    startPlayback();
+    transportPlayPauseBtn.classList.add('paused');
+    playAlbumBtn.classList.add('pause');
+    playAlbumBtn.classList.remove('play');
+  } else {
+    // Defined in player.js; brakes the platter, lifts the arm and resets the buttons
+    isPlaying = false;
+    pauseVisualPlayback();
+  }
+}
+
+/**
+ * Find the preview that plays when the current track ends
+ * Logged-in users hear full tracks through the SDK instead, so there's nothing to preload.
+ * @returns {string|null} Preview URL, or null when the next track won't play a preview
+ */
+function getUpcomingPreview() {
+  if (window.spotifyAuth.getAuthState().authenticated) return null;
+
+  const entry = window.playQueue.peekNext();
+  return entry && entry.track.preview_url ? entry.track.preview_url : null;
+}
+
 /**
  * Handle playback error
  */
@@ -638,21 +1338,33 @@ function handlePlaybackError() {
  */
 function stopPlayback() {
   // Stop audio player
-  audioPlayer.pause();
+  window.previewDecks.stop();
   
   // Stop any vinyl sound if playing
+  stopVinylClock();
   if (window.vinylSource) {
     window.vinylSource.stop();
     window.vinylSource = null;
   }
   
   isPlaying = false;
+  playbackSource = null;
   vinyl.classList.remove('spinning');
-  tonearm.classList.remove('playing');
+  window.platter.stop();
+  window.tonearmControl.resetTonearm();
+  window.mediaKeys.setPlaybackState('none');
   
   // Clear active track
-  document.querySelectorAll('.track').forEach(el => {
-    el.classList.remove('active');
+  highlightTrackRow(-1);
+}
+
+/**
+ * Highlight a row of the track list
+ * @param {number} index - Row index, or -1 for none
+ */
+function highlightTrackRow(index) {
+  document.querySelectorAll('.track').forEach((el, i) => {
+    el.classList.toggle('active', i === index);
   });
 }
 
@@ -662,6 +1374,8 @@ function stopPlayback() {
  * @returns {string} Formatted duration string
  */
 function formatDuration(ms) {
+  if (!ms) return '--:--';
+  
   const minutes = Math.floor(ms / 60000);
   const seconds = Math.floor((ms % 60000) / 1000);
   return `${minutes}:${seconds < 10 ? '0' : ''}${seconds}`;
@@ -691,6 +1405,17 @@ function showNotification(message) {
 // Make some functions available globally
 window.playVinylSound = playVinylSound;
 window.showNotification = showNotification;
+window.loadRecord = loadRecord;
+window.stopPlayback = stopPlayback;
+window.loadAlbumById = loadAlbumById;
+window.apiRequest = apiRequest;
+window.playQueueEntry = playQueueEntry;
+window.handleTrackEnded = handleTrackEnded;
+window.updatePlaybackProgress = updatePlaybackProgress;
+window.reconcilePlayback = reconcilePlayback;
+window.selectArtist = selectArtist;
+window.formatArtistMeta = formatArtistMeta;
+window.formatDuration = formatDuration;
 
 // Initialize the app when page loads
 document.addEventListener('DOMContentLoaded', initApp);
\ No newline at end of file
@@ -0,0 +1,268 @@
+/**
+ * Artist Panel
+ * Shows the current artist's image, genres and followers, their top tracks
+ * (click one to play it) and related artists to move on to. Clicking a genre
+ * swaps the related artists for artists tagged with that genre.
+ */
+
+// Artists listed for a genre
+const GENRE_ARTIST_LIMIT = 20;
+
+// DOM elements
+const artistPanelSection = document.getElementById('artistPanel');
+const artistPanelImage = document.getElementById('artistPanelImage');
+const artistPanelName = document.getElementById('artistPanelName');
+const artistPanelFollowers = document.getElementById('artistPanelFollowers');
+const artistGenres = document.getElementById('artistGenres');
+const artistTopTracks = document.getElementById('artistTopTracks');
+const artistBrowseHeading = document.getElementById('artistBrowseHeading');
+const artistBrowse = document.getElementById('artistBrowse');
+
+// Artist on the panel, and its related artists for switching back from a genre
+let panelArtist = null;
+let relatedArtists = [];
+
+// Ignore responses for an artist or genre that's no longer shown
+let artistPanelRequestId = 0;
+let genreRequestId = 0;
+
+/**
+ * Show an artist on the panel, then fill in their top tracks and related artists
+ * @param {Object} artist - Artist object; only the id is needed
+ */
+function showArtist(artist) {
+  const requestId = ++artistPanelRequestId;
+  genreRequestId++;
+
+  panelArtist = artist;
+  relatedArtists = [];
+  artistPanelSection.hidden = false;
+  artistGenres.innerHTML = '';
+  renderProfile(artist);
+  setPanelStatus(artistTopTracks, 'Loading top tracks...');
+  artistBrowseHeading.textContent = 'Related artists';
+  setPanelStatus(artistBrowse, 'Loading related artists...');
+
+  // Each part shows up as soon as it arrives
+  const profile = window.apiRequest(`/artist/${artist.id}`);
+  const topTracks = window.apiRequest(`/artist/${artist.id}/top-tracks`);
+  const related = window.apiRequest(`/artist/${artist.id}/related`);
+
+  profile
+    .then(fullArtist => {
+      if (requestId !== artistPanelRequestId) return;
+      panelArtist = fullArtist;
+      renderProfile(fullArtist);
+    })
+    .catch(error => console.error('Error loading artist:', error));
+
+  topTracks
+    .then(tracks => {
+      if (requestId === artistPanelRequestId) renderTopTracks(tracks);
+    })
+    .catch(error => {
+      console.error('Error loading top tracks:', error);
+      if (requestId === artistPanelRequestId) setPanelStatus(artistTopTracks, 'Top tracks are not available');
+    });
+
+  related
+    .then(artists => {
+      if (requestId !== artistPanelRequestId) return;
+      relatedArtists = artists;
+      // A genre picked in the meantime keeps the grid
+      if (!isGenreShown()) renderArtistCards(artists, 'No related artists found');
+    })
+    .catch(error => {
+      console.error('Error loading related artists:', error);
+      if (requestId === artistPanelRequestId && !isGenreShown()) {
+        setPanelStatus(artistBrowse, 'Related artists are not available');
+      }
+    });
+}
+
+/**
+ * Whether the browse grid shows a genre rather than related artists
+ * @returns {boolean} Whether a genre chip is active
+ */
+function isGenreShown() {
+  return Boolean(artistGenres.querySelector('.genre-chip.active'));
+}
+
+/**
+ * Replace a section's content with a status line
+ * @param {HTMLElement} container - Section to fill
+ * @param {string} message - Text to show
+ */
+function setPanelStatus(container, message) {
+  container.innerHTML = '';
+  const status = document.createElement('div');
+  status.className = 'artist-panel-status';
+  status.textContent = message;
+  container.appendChild(status);
+}
+
+/**
+ * Show the artist's image, name, followers and genres
+ * @param {Object} artist - Artist object
+ */
+function renderProfile(artist) {
+  const images = artist.images || [];
+  if (images.length > 0) {
+    artistPanelImage.src = images[0].url;
+  } else {
+    artistPanelImage.removeAttribute('src');
+  }
+  artistPanelName.textContent = artist.name;
+  artistPanelFollowers.textContent = artist.followers
+    ? `${new Intl.NumberFormat().format(artist.followers.total)} followers`
+    : '';
+
+  // The full profile can arrive after a genre was picked
+  const activeChip = artistGenres.querySelector('.genre-chip.active');
+  const activeGenre = activeChip ? activeChip.textContent : null;
+
+  artistGenres.innerHTML = '';
+  (artist.genres || []).forEach(genre => {
+    const chip = document.createElement('button');
+    chip.className = 'genre-chip';
+    chip.classList.toggle('active', genre === activeGenre);
+    chip.textContent = genre;
+    chip.title = `Artists tagged "${genre}"`;
+    chip.addEventListener('click', () => toggleGenre(genre, chip));
+    artistGenres.appendChild(chip);
+  });
+}
+
+/**
+ * List the top tracks; clicking one plays it with the rest queued after it
+ * @param {Array} tracks - Tracks from the top tracks endpoint
+ */
+function renderTopTracks(tracks) {
+  if (tracks.length === 0) {
+    setPanelStatus(artistTopTracks, 'No top tracks found');
+    return;
+  }
+
+  artistTopTracks.innerHTML = '';
+
+  tracks.forEach((track, index) => {
+    const item = document.createElement('li');
+    item.className = 'artist-top-track';
+    item.tabIndex = 0;
+    item.title = `Play "${track.name}"`;
+    item.textContent = track.name;
+
+    const meta = document.createElement('span');
+    meta.className = 'artist-top-track-meta';
+    meta.textContent = ` · ${track.album.name} · ${window.formatDuration(track.duration_ms)}`;
+    item.appendChild(meta);
+
+    const play = () => window.loadRecord(topTracksToRecord(tracks), { autoplay: true, startIndex: index });
+    item.addEventListener('click', play);
+    item.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') play();
+    });
+
+    artistTopTracks.appendChild(item);
+  });
+}
+
+/**
+ * Turn the top tracks into an album-shaped record for the turntable
+ * @param {Array} tracks - Top tracks
+ * @returns {Object} Album-like object
+ */
+function topTracksToRecord(tracks) {
+  return {
+    id: panelArtist.id,
+    name: `${panelArtist.name}: Top Tracks`,
+    type: 'top-tracks',
+    artists: [{ id: panelArtist.id, name: panelArtist.name }],
+    images: panelArtist.images || [],
+    total_tracks: tracks.length,
+    tracks: { items: tracks }
+  };
+}
+
+/**
+ * Fill the browse grid with artists to move on to
+ * @param {Array} artists - Artist objects
+ * @param {string} emptyMessage - Shown when there are none
+ */
+function renderArtistCards(artists, emptyMessage) {
+  if (artists.length === 0) {
+    setPanelStatus(artistBrowse, emptyMessage);
+    return;
+  }
+
+  artistBrowse.innerHTML = '';
+
+  artists.forEach(artist => {
+    const card = document.createElement('button');
+    card.className = 'artist-card';
+    card.title = window.formatArtistMeta(artist);
+
+    const image = document.createElement('img');
+    image.alt = '';
+    // Smallest image is last, which is plenty for a card
+    if (artist.images && artist.images.length > 0) {
+      image.src = artist.images[artist.images.length - 1].url;
+    }
+
+    const name = document.createElement('span');
+    name.textContent = artist.name;
+
+    card.appendChild(image);
+    card.appendChild(name);
+    card.addEventListener('click', () => {
+      window.selectArtist(artist).catch(error => {
+        console.error('Error opening artist:', error);
+        window.showNotification(`Could not open ${artist.name}: ${error.message}`);
+      });
+    });
+    artistBrowse.appendChild(card);
+  });
+}
+
+/**
+ * Show artists tagged with a genre, or go back to the related artists
+ * @param {string} genre - Genre name
+ * @param {HTMLElement} chip - The genre's chip
+ */
+async function toggleGenre(genre, chip) {
+  const wasActive = chip.classList.contains('active');
+  artistGenres.querySelectorAll('.genre-chip').forEach(item => item.classList.remove('active'));
+
+  if (wasActive) {
+    genreRequestId++;
+    artistBrowseHeading.textContent = 'Related artists';
+    renderArtistCards(relatedArtists, 'No related artists found');
+    return;
+  }
+
+  chip.classList.add('active');
+  artistBrowseHeading.textContent = `Artists tagged "${genre}"`;
+  setPanelStatus(artistBrowse, 'Loading...');
+
+  const requestId = ++genreRequestId;
+
+  try {
+    const results = await window.apiRequest('/search', {
+      q: `genre:"${genre}"`,
+      type: 'artist',
+      limit: GENRE_ARTIST_LIMIT
+    });
+    if (requestId !== genreRequestId) return;
+
+    const artists = results.artists.items.filter(artist => artist.id !== panelArtist.id);
+    renderArtistCards(artists, `No other artists tagged "${genre}"`);
+  } catch (error) {
+    console.error('Error loading genre artists:', error);
+    if (requestId === genreRequestId) setPanelStatus(artistBrowse, `Could not load artists tagged "${genre}"`);
+  }
+}
+
+// Export functions to window
+window.artistPanel = {
+  showArtist
+};
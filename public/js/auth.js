@@ -7,10 +7,10 @@
 console.log('Auth.js is loading');
 
 // Auth state
+// The refresh token never leaves the server; we only hold a short-lived access token
 let authState = {
     authenticated: false,
     accessToken: null,
-    refreshToken: null,
     expiresAt: 0,
     profile: null
   };
@@ -27,16 +27,12 @@ let authState = {
       
       if (data.authenticated) {
         authState.authenticated = true;
+        // The server refreshes an expired token before answering
         authState.accessToken = data.access_token;
-        authState.refreshToken = data.refresh_token;
+        authState.expiresAt = data.expires_at;
         
-        // If token is expired, refresh it
-        if (data.expired) {
-          await refreshToken();
-        } else {
-          // Try to get user profile
-          await getUserProfile();
-        }
+        // Try to get user profile
+        await getUserProfile();
       }
       
       // Update UI based on auth state
@@ -84,7 +80,6 @@ let authState = {
       authState = {
         authenticated: false,
         accessToken: null,
-        refreshToken: null,
         expiresAt: 0,
         profile: null
       };
@@ -96,16 +91,13 @@ let authState = {
   
   /**
    * Refresh the access token
+   * The refresh token is kept in the server-side session
    * @returns {Promise<boolean>} Success status
    */
   async function refreshToken() {
     try {
       const response = await fetch('/auth/refresh-token', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ refresh_token: authState.refreshToken })
+        method: 'POST'
       });
       
       const data = await response.json();
@@ -0,0 +1,227 @@
+/**
+ * Record Crate
+ * Flip through the logged-in user's saved albums as record sleeves, filter them
+ * by artist, decade and genre, and put one on the turntable.
+ */
+
+// DOM elements
+const crateContainer = document.getElementById('crateContainer');
+const crateArtistFilter = document.getElementById('crateArtistFilter');
+const crateDecadeFilter = document.getElementById('crateDecadeFilter');
+const crateGenreFilter = document.getElementById('crateGenreFilter');
+const crateSort = document.getElementById('crateSort');
+const crateStatus = document.getElementById('crateStatus');
+const crateSleeves = document.getElementById('crateSleeves');
+
+// Saved albums loaded so far, in the order Spotify returned them
+let crateAlbums = [];
+let crateTotal = 0;
+
+// Bumped on every reload so pages from an older load are ignored
+let crateLoadId = 0;
+
+/**
+ * Page through all saved albums, rendering the crate after each page
+ */
+async function loadCrate() {
+  const loadId = ++crateLoadId;
+  crateAlbums = [];
+  crateTotal = 0;
+  crateContainer.style.display = 'block';
+  crateSleeves.innerHTML = '';
+  crateStatus.textContent = 'Loading your saved albums...';
+
+  let offset = 0;
+
+  try {
+    while (offset !== null) {
+      const page = await window.apiRequest('/me/albums', { offset, limit: 50 });
+      if (loadId !== crateLoadId) return;
+
+      crateAlbums.push(...page.items);
+      crateTotal = page.total;
+      offset = page.next_offset;
+
+      updateCrateFilters();
+      renderCrate();
+    }
+  } catch (error) {
+    console.error('Error loading saved albums:', error);
+    crateStatus.textContent = `Could not load your saved albums: ${error.message}`;
+  }
+}
+
+/**
+ * Get the decade label for an album, e.g. "1990s"
+ * @param {Object} album - Saved album
+ * @returns {string|null} Decade label
+ */
+function getAlbumDecade(album) {
+  const year = parseInt(album.release_date, 10);
+  return year ? `${Math.floor(year / 10) * 10}s` : null;
+}
+
+/**
+ * Replace a filter's options, keeping the current choice when it still exists
+ * @param {HTMLSelectElement} select - Filter dropdown
+ * @param {string} allLabel - Label of the "no filter" option
+ * @param {Array<string>} values - Option values
+ */
+function setFilterOptions(select, allLabel, values) {
+  const selected = select.value;
+  select.innerHTML = '';
+
+  const allOption = document.createElement('option');
+  allOption.value = '';
+  allOption.textContent = allLabel;
+  select.appendChild(allOption);
+
+  values.forEach(value => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = value;
+    select.appendChild(option);
+  });
+
+  select.value = values.includes(selected) ? selected : '';
+}
+
+/**
+ * Rebuild the filter dropdowns from the albums loaded so far
+ */
+function updateCrateFilters() {
+  const artists = new Set();
+  const decades = new Set();
+  const genres = new Set();
+
+  crateAlbums.forEach(album => {
+    album.artists.forEach(artist => artists.add(artist.name));
+    const decade = getAlbumDecade(album);
+    if (decade) decades.add(decade);
+    album.genres.forEach(genre => genres.add(genre));
+  });
+
+  setFilterOptions(crateArtistFilter, 'All artists', [...artists].sort((a, b) => a.localeCompare(b)));
+  setFilterOptions(crateDecadeFilter, 'All decades', [...decades].sort());
+  setFilterOptions(crateGenreFilter, 'All genres', [...genres].sort());
+}
+
+/**
+ * Get the saved albums that match the filters, in the chosen order
+ * @returns {Array} Albums
+ */
+function getVisibleCrateAlbums() {
+  const artist = crateArtistFilter.value;
+  const decade = crateDecadeFilter.value;
+  const genre = crateGenreFilter.value;
+  const direction = crateSort.value === 'added_at:asc' ? 1 : -1;
+
+  return crateAlbums
+    .filter(album => !artist || album.artists.some(item => item.name === artist))
+    .filter(album => !decade || getAlbumDecade(album) === decade)
+    .filter(album => !genre || album.genres.includes(genre))
+    .sort((a, b) => a.added_at.localeCompare(b.added_at) * direction);
+}
+
+/**
+ * Render the sleeves that match the filters
+ */
+function renderCrate() {
+  const albums = getVisibleCrateAlbums();
+  crateSleeves.innerHTML = '';
+
+  const loaded = crateAlbums.length < crateTotal ? ` (loaded ${crateAlbums.length} of ${crateTotal})` : '';
+  crateStatus.textContent = crateTotal === 0
+    ? 'No saved albums yet. Heart an album to add it to your crate.'
+    : `${albums.length} of ${crateAlbums.length} records${loaded}`;
+
+  albums.forEach(album => crateSleeves.appendChild(createSleeve(album)));
+}
+
+/**
+ * Build a sleeve: the cover on the front, details and a play button on the back
+ * @param {Object} album - Saved album
+ * @returns {HTMLElement} Sleeve element
+ */
+function createSleeve(album) {
+  const sleeve = document.createElement('div');
+  sleeve.className = 'sleeve';
+  sleeve.tabIndex = 0;
+  sleeve.setAttribute('role', 'button');
+  sleeve.setAttribute('aria-label', `${album.name} by ${album.artists.map(artist => artist.name).join(', ')}`);
+
+  const inner = document.createElement('div');
+  inner.className = 'sleeve-inner';
+
+  const front = document.createElement('div');
+  front.className = 'sleeve-front';
+  if (album.images.length > 0) {
+    front.style.backgroundImage = `url(${album.images[0].url})`;
+  } else {
+    front.textContent = album.name;
+  }
+
+  const back = document.createElement('div');
+  back.className = 'sleeve-back';
+
+  const title = document.createElement('div');
+  title.className = 'sleeve-title';
+  title.textContent = album.name;
+
+  const artist = document.createElement('div');
+  artist.className = 'sleeve-artist';
+  artist.textContent = album.artists.map(item => item.name).join(', ');
+
+  const details = document.createElement('div');
+  details.className = 'sleeve-details';
+  details.textContent = [
+    album.release_date ? album.release_date.slice(0, 4) : null,
+    `${album.total_tracks} tracks`,
+    album.genres.slice(0, 2).join(', ')
+  ].filter(Boolean).join(' • ');
+
+  const playButton = document.createElement('button');
+  playButton.className = 'sleeve-play';
+  playButton.textContent = 'Put on turntable';
+  playButton.addEventListener('click', async (event) => {
+    event.stopPropagation();
+    playButton.disabled = true;
+    try {
+      await window.loadAlbumById(album.id);
+    } catch (error) {
+      console.error('Error loading album from crate:', error);
+      window.showNotification(`Could not load the album: ${error.message}`);
+    } finally {
+      playButton.disabled = false;
+    }
+  });
+
+  back.appendChild(title);
+  back.appendChild(artist);
+  back.appendChild(details);
+  back.appendChild(playButton);
+  inner.appendChild(front);
+  inner.appendChild(back);
+  sleeve.appendChild(inner);
+
+  // Click or Enter flips the sleeve over
+  sleeve.addEventListener('click', () => sleeve.classList.toggle('flipped'));
+  sleeve.addEventListener('keydown', (event) => {
+    if (event.target === sleeve && (event.key === 'Enter' || event.key === ' ')) {
+      event.preventDefault();
+      sleeve.classList.toggle('flipped');
+    }
+  });
+
+  return sleeve;
+}
+
+// Set up event listeners
+[crateArtistFilter, crateDecadeFilter, crateGenreFilter, crateSort].forEach(select => {
+  select.addEventListener('change', renderCrate);
+});
+
+// Export functions to window
+window.recordCrate = {
+  loadCrate
+};
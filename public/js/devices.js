@@ -0,0 +1,275 @@
+/**
+ * Spotify Connect Devices
+ * Lists the user's speakers, phones and desktop apps, moves playback to the
+ * chosen one, and while another device plays keeps the turntable in step with
+ * it by polling the Web API, so the vinyl UI works as its remote control.
+ */
+
+// How often to check on a remote device
+const REMOTE_POLL_MS = 3000;
+
+// DOM elements
+const devicesBtn = document.getElementById('devicesBtn');
+const deviceMenu = document.getElementById('deviceMenu');
+const deviceList = document.getElementById('deviceList');
+
+// Device playing instead of this browser: { id, name }, or null
+let activeRemoteDevice = null;
+
+// Polling while a remote device plays, and the state it last reported
+let remotePollTimer = null;
+let lastRemoteState = null;
+
+/**
+ * Fetch the user's devices and show them in the menu
+ */
+async function loadDevices() {
+  deviceList.innerHTML = '<div class="device-status">Looking for devices...</div>';
+
+  try {
+    const response = await window.spotifyAuth.spotifyApiRequest('/me/player/devices');
+    if (!response.ok) {
+      throw new Error(`Spotify returned ${response.status}`);
+    }
+
+    const { devices } = await response.json();
+    renderDeviceMenu(devices);
+  } catch (error) {
+    console.error('Error loading devices:', error);
+    deviceList.innerHTML = '<div class="device-status">Could not load your devices</div>';
+  }
+}
+
+/**
+ * List this browser first, then every other device
+ * @param {Array} devices - Devices from /me/player/devices
+ */
+function renderDeviceMenu(devices) {
+  const localId = window.spotifyPlayer.getLocalDeviceId();
+  const options = [
+    { id: localId, name: 'This browser', type: 'Turntable', local: true },
+    ...devices.filter(device => device.id !== localId)
+  ];
+
+  deviceList.innerHTML = '';
+
+  options.forEach(device => {
+    const option = document.createElement('button');
+    option.className = 'device-option';
+    option.disabled = Boolean(device.is_restricted);
+    option.classList.toggle('active', activeRemoteDevice ? device.id === activeRemoteDevice.id : Boolean(device.local));
+
+    const name = document.createElement('span');
+    name.className = 'device-name';
+    name.textContent = device.name;
+
+    const type = document.createElement('span');
+    type.className = 'device-type';
+    type.textContent = device.is_restricted ? `${device.type} (can't be controlled)` : device.type;
+
+    option.appendChild(name);
+    option.appendChild(type);
+    option.addEventListener('click', () => selectDevice(device));
+    deviceList.appendChild(option);
+  });
+}
+
+/**
+ * Open or close the device menu, refreshing the list when it opens
+ */
+function toggleDeviceMenu() {
+  deviceMenu.hidden = !deviceMenu.hidden;
+  devicesBtn.setAttribute('aria-expanded', String(!deviceMenu.hidden));
+
+  if (!deviceMenu.hidden) {
+    loadDevices();
+  }
+}
+
+/**
+ * Move playback to a device, keeping it playing if it was
+ * @param {string} id - Device id
+ */
+async function transferPlayback(id) {
+  const response = await window.spotifyAuth.spotifyApiRequest('/me/player', {
+    method: 'PUT',
+    body: JSON.stringify({ device_ids: [id], play: Boolean(window.playerIsPlaying) })
+  });
+
+  if (!response.ok) {
+    throw new Error(`Spotify returned ${response.status}`);
+  }
+}
+
+/**
+ * Play on the chosen device from now on
+ * @param {Object} device - Device from the menu
+ */
+async function selectDevice(device) {
+  toggleDeviceMenu();
+
+  try {
+    if (device.local) {
+      // This browser's player has to be running to take playback back
+      const ready = await window.spotifyPlayer.initPlayer();
+      const localId = window.spotifyPlayer.getLocalDeviceId();
+      if (!ready || !localId) {
+        throw new Error('This browser is not ready for playback');
+      }
+
+      await transferPlayback(localId);
+      useLocalDevice();
+    } else {
+      await transferPlayback(device.id);
+      useRemoteDevice(device);
+      pollRemotePlayer();
+    }
+
+    window.showNotification(`Playing on ${device.name}`);
+  } catch (error) {
+    console.error('Error transferring playback:', error);
+    window.showNotification(`Could not switch to ${device.name}: ${error.message}`);
+  }
+}
+
+/**
+ * Control a remote device and follow what it plays
+ * @param {Object} device - Device with id and name
+ */
+function useRemoteDevice(device) {
+  activeRemoteDevice = { id: device.id, name: device.name };
+  window.spotifyPlayer.setRemoteDevice(device.id);
+  devicesBtn.textContent = `▶ ${device.name}`;
+  devicesBtn.classList.add('remote');
+
+  if (!remotePollTimer) {
+    remotePollTimer = setInterval(pollRemotePlayer, REMOTE_POLL_MS);
+  }
+}
+
+/**
+ * Go back to playing in this browser
+ */
+function useLocalDevice() {
+  activeRemoteDevice = null;
+  lastRemoteState = null;
+  window.spotifyPlayer.setRemoteDevice(null);
+  devicesBtn.textContent = 'Devices';
+  devicesBtn.classList.remove('remote');
+
+  clearInterval(remotePollTimer);
+  remotePollTimer = null;
+}
+
+/**
+ * Whether the track we sent to the remote device has played to the end
+ * Spotify stops after a single track, or moves on to autoplay.
+ * @param {Object} previous - Previous state
+ * @param {Object} state - Current state
+ * @returns {boolean} Whether the track ended
+ */
+function hasRemoteTrackEnded(previous, state) {
+  if (!previous || !previous.is_playing || !previous.item) return false;
+
+  const requested = window.spotifyPlayer.getPlaybackState().currentTrackId;
+  const previousUri = previous.item.linked_from ? previous.item.linked_from.uri : previous.item.uri;
+  if (previousUri !== requested) return false;
+
+  // Only a track that was in its last moments can have ended in between
+  if (previous.item.duration_ms - previous.progress_ms > REMOTE_POLL_MS * 2) return false;
+
+  const sameTrack = state && state.item && state.item.id === previous.item.id;
+  return !sameTrack || (!state.is_playing && state.progress_ms === 0);
+}
+
+/**
+ * Describe a Web API player state the way app.js reconciles playback
+ * @param {Object|null} state - State from /me/player, or null when nothing is playing
+ * @returns {Object} Playback snapshot
+ */
+function remoteStateToSnapshot(state) {
+  if (!state || !state.item) {
+    return { track: null, paused: !(state && state.is_playing) };
+  }
+
+  const item = state.item;
+  return {
+    track: item,
+    // A relinked item names the track we asked for in linked_from
+    trackIds: [item.linked_from && item.linked_from.id, item.id].filter(Boolean),
+    albumId: item.album ? item.album.id : null,
+    contextUri: state.context ? state.context.uri : null,
+    positionMs: state.progress_ms,
+    durationMs: item.duration_ms,
+    paused: !state.is_playing
+  };
+}
+
+/**
+ * Bring the turntable in line with the remote device
+ */
+async function pollRemotePlayer() {
+  let state = null;
+
+  try {
+    const response = await window.spotifyAuth.spotifyApiRequest('/me/player');
+    if (response.status !== 204) {
+      if (!response.ok) {
+        throw new Error(`Spotify returned ${response.status}`);
+      }
+      state = await response.json();
+    }
+  } catch (error) {
+    console.error('Error polling the remote device:', error);
+    return;
+  }
+
+  // Stopped polling while the request was out
+  if (!activeRemoteDevice) return;
+
+  const previous = lastRemoteState;
+  lastRemoteState = state;
+
+  // Playback was moved from another app: follow it, or hand back to this browser
+  if (state && state.device && state.device.id !== activeRemoteDevice.id) {
+    if (state.device.id === window.spotifyPlayer.getLocalDeviceId()) {
+      useLocalDevice();
+      return;
+    }
+    useRemoteDevice(state.device);
+  }
+
+  if (hasRemoteTrackEnded(previous, state)) {
+    window.playerIsPlaying = false;
+    window.handleTrackEnded();
+    return;
+  }
+
+  // Follow skips, pauses and seeks; app.js moves the record, track list and tonearm
+  window.reconcilePlayback(remoteStateToSnapshot(state));
+}
+
+/**
+ * Show the device button once we know the user is logged in
+ */
+function enableDevices() {
+  devicesBtn.style.display = 'block';
+}
+
+// Set up event listeners
+devicesBtn.addEventListener('click', (event) => {
+  event.stopPropagation();
+  toggleDeviceMenu();
+});
+
+// Clicking anywhere else closes the menu
+document.addEventListener('click', (event) => {
+  if (!deviceMenu.hidden && !deviceMenu.contains(event.target)) {
+    toggleDeviceMenu();
+  }
+});
+
+// Export functions to window
+window.connectDevices = {
+  enableDevices
+};
@@ -0,0 +1,245 @@
+/**
+ * Discography Timeline
+ * Lays out the current artist's records as covers along a timeline, grouped
+ * by year; clicking one puts it on the turntable. The server keeps a single
+ * edition of each record, and the edition picker chooses which: the original,
+ * the deluxe edition or the clean version.
+ */
+
+const EDITION_STORAGE_KEY = 'vinylPlayer.edition';
+
+// DOM elements
+const discographyTimeline = document.getElementById('discographyTimeline');
+const editionPreference = document.getElementById('editionPreference');
+
+/**
+ * Read the saved edition preference, if any
+ */
+function loadEditionPreference() {
+  try {
+    const saved = localStorage.getItem(EDITION_STORAGE_KEY);
+    if (Array.from(editionPreference.options).some(option => option.value === saved)) {
+      editionPreference.value = saved;
+    }
+  } catch (error) {
+    console.warn('Ignoring unreadable edition preference:', error);
+  }
+}
+
+/**
+ * Remember the edition preference
+ * app.js refetches the albums, since the picker sits with the album filters.
+ */
+function saveEditionPreference() {
+  try {
+    localStorage.setItem(EDITION_STORAGE_KEY, editionPreference.value);
+  } catch (error) {
+    console.warn('Could not save edition preference:', error);
+  }
+}
+
+/**
+ * Get the edition to show of each record
+ * @returns {string} original, deluxe or clean
+ */
+function getEditionPreference() {
+  return editionPreference.value;
+}
+
+/**
+ * Replace the timeline with a status line
+ * @param {string} message - Text to show
+ */
+function showTimelineMessage(message) {
+  discographyTimeline.innerHTML = '';
+  const status = document.createElement('div');
+  status.className = 'timeline-status';
+  status.textContent = message;
+  discographyTimeline.appendChild(status);
+}
+
+/**
+ * Empty the timeline until the next artist is picked
+ */
+function clearTimeline() {
+  showTimelineMessage('Search for an artist to see their records');
+}
+
+/**
+ * Group albums by release year, keeping their order
+ * @param {Array} albums - Albums sorted by release date
+ * @returns {Array} [{ year, albums }]
+ */
+function groupByYear(albums) {
+  const years = [];
+
+  albums.forEach(album => {
+    const year = album.release_date ? album.release_date.slice(0, 4) : 'Undated';
+    const last = years[years.length - 1];
+    if (last && last.year === year) {
+      last.albums.push(album);
+    } else {
+      years.push({ year, albums: [album] });
+    }
+  });
+
+  return years;
+}
+
+/**
+ * Describe a record under its cover, e.g. "single · 3 editions"
+ * @param {Object} album - Album with its editions
+ * @returns {string} Cover caption
+ */
+function formatRecordDetails(album) {
+  const group = album.album_group || album.album_type;
+  const details = [];
+
+  if (group && group !== 'album') {
+    details.push(group === 'appears_on' ? 'appears on' : group);
+  }
+  if (album.editions && album.editions.length > 1) {
+    details.push(`${album.editions.length} editions`);
+  }
+
+  return details.join(' · ');
+}
+
+/**
+ * List a record's editions for the cover's tooltip
+ * @param {Object} album - Album with its editions
+ * @returns {string} Tooltip text
+ */
+function formatEditionList(album) {
+  const editions = album.editions || [];
+  if (editions.length < 2) return album.name;
+
+  // Only a record that also comes explicit has clean versions
+  const hasExplicit = editions.some(edition => edition.explicit);
+
+  const lines = editions.map(edition => {
+    const details = [
+      edition.release_date ? edition.release_date.slice(0, 4) : null,
+      `${edition.total_tracks} tracks`,
+      hasExplicit && edition.explicit === false ? 'clean' : null
+    ].filter(Boolean).join(', ');
+    const marker = edition.id === album.id ? '▶ ' : '';
+    return `${marker}${edition.name} (${details})`;
+  });
+
+  return `${album.name}\n\nEditions:\n${lines.join('\n')}`;
+}
+
+/**
+ * Build a cover that loads its record when clicked
+ * @param {Object} album - Album with its editions
+ * @returns {HTMLElement} Cover button
+ */
+function createCover(album) {
+  const cover = document.createElement('button');
+  cover.className = 'timeline-cover';
+  cover.dataset.albumId = album.id;
+  cover.title = formatEditionList(album);
+
+  const image = document.createElement('img');
+  image.alt = '';
+  image.loading = 'lazy';
+  // Spotify lists images largest first; the middle one is about 300px
+  const images = album.images || [];
+  if (images.length > 0) {
+    image.src = images[Math.min(1, images.length - 1)].url;
+  }
+
+  const name = document.createElement('span');
+  name.className = 'timeline-cover-name';
+  name.textContent = album.name;
+
+  cover.appendChild(image);
+  cover.appendChild(name);
+
+  const details = formatRecordDetails(album);
+  if (details) {
+    const caption = document.createElement('span');
+    caption.className = 'timeline-cover-details';
+    caption.textContent = details;
+    cover.appendChild(caption);
+  }
+
+  if (album.explicit) {
+    const badge = document.createElement('span');
+    badge.className = 'timeline-explicit';
+    badge.textContent = 'E';
+    badge.title = 'Explicit';
+    cover.appendChild(badge);
+  }
+
+  cover.addEventListener('click', () => loadCover(cover));
+  return cover;
+}
+
+/**
+ * Put a cover's record on the turntable
+ * @param {HTMLElement} cover - Cover button
+ */
+async function loadCover(cover) {
+  cover.disabled = true;
+  cover.classList.add('loading');
+
+  try {
+    await window.loadAlbumById(cover.dataset.albumId);
+    discographyTimeline.querySelectorAll('.timeline-cover').forEach(item => {
+      item.classList.toggle('active', item === cover);
+    });
+  } catch (error) {
+    console.error('Error loading album:', error);
+    window.showNotification(`Could not load the album: ${error.message}`);
+  } finally {
+    cover.disabled = false;
+    cover.classList.remove('loading');
+  }
+}
+
+/**
+ * Show an artist's records on the timeline
+ * @param {Array} albums - One album per record, sorted by release date
+ */
+function renderTimeline(albums) {
+  if (albums.length === 0) {
+    showTimelineMessage('No releases found');
+    return;
+  }
+
+  discographyTimeline.innerHTML = '';
+
+  groupByYear(albums).forEach(({ year, albums: yearAlbums }) => {
+    const group = document.createElement('section');
+    group.className = 'timeline-year';
+
+    const label = document.createElement('h3');
+    label.className = 'timeline-year-label';
+    label.textContent = year;
+
+    const covers = document.createElement('div');
+    covers.className = 'timeline-covers';
+    yearAlbums.forEach(album => covers.appendChild(createCover(album)));
+
+    group.appendChild(label);
+    group.appendChild(covers);
+    discographyTimeline.appendChild(group);
+  });
+
+  discographyTimeline.scrollLeft = 0;
+}
+
+// Set up event listeners
+editionPreference.addEventListener('change', saveEditionPreference);
+
+loadEditionPreference();
+
+// Export functions to window
+window.discography = {
+  render: renderTimeline,
+  showMessage: showTimelineMessage,
+  clear: clearTimeline,
+  getEditionPreference
+};
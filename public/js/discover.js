@@ -0,0 +1,156 @@
+/**
+ * Preview Discovery Shelf
+ * Streams albums and playlists that have playable previews from the server
+ * (Server-Sent Events) and lets any of them be put on the turntable.
+ */
+
+// DOM elements
+const previewQueryInput = document.getElementById('previewQuery');
+const discoverPreviewsBtn = document.getElementById('discoverPreviewsBtn');
+const previewResults = document.getElementById('previewResults');
+
+// The open event stream, if a discovery is in progress
+let previewStream = null;
+
+/**
+ * Start streaming preview results for the current query
+ */
+function startPreviewDiscovery() {
+  stopPreviewDiscovery();
+
+  const query = previewQueryInput.value.trim() || 'hits';
+  previewResults.innerHTML = '';
+
+  discoverPreviewsBtn.textContent = 'Discovering...';
+  discoverPreviewsBtn.disabled = true;
+
+  previewStream = new EventSource(`/api/spotify/find-previews/stream?query=${encodeURIComponent(query)}`);
+
+  // Each album or playlist arrives as soon as the server has resolved it
+  previewStream.addEventListener('result', (event) => {
+    addPreviewCard(JSON.parse(event.data));
+  });
+
+  previewStream.addEventListener('done', (event) => {
+    const { total_results } = JSON.parse(event.data);
+    console.log(`Preview discovery finished with ${total_results} results`);
+    stopPreviewDiscovery();
+  });
+
+  // Fired for our own `error` events and when the connection drops
+  previewStream.addEventListener('error', (event) => {
+    const message = event.data ? JSON.parse(event.data).error : 'Lost connection while discovering previews';
+    console.error('Preview discovery error:', message);
+
+    if (previewResults.children.length === 0) {
+      previewResults.innerHTML = '';
+      const error = document.createElement('div');
+      error.className = 'error-message';
+      error.textContent = message;
+      previewResults.appendChild(error);
+    }
+
+    stopPreviewDiscovery();
+  });
+}
+
+/**
+ * Close the event stream (EventSource would otherwise reconnect) and reset the button
+ */
+function stopPreviewDiscovery() {
+  if (previewStream) {
+    previewStream.close();
+    previewStream = null;
+  }
+
+  discoverPreviewsBtn.textContent = 'Discover';
+  discoverPreviewsBtn.disabled = false;
+}
+
+/**
+ * Turn a preview result into an album-shaped record for the turntable
+ * @param {Object} result - Result from the preview stream
+ * @returns {Object} Album-like object
+ */
+function previewResultToRecord(result) {
+  return {
+    id: result.id,
+    name: result.name,
+    type: result.type,
+    artists: [{ name: result.artist }],
+    images: result.image ? [{ url: result.image }] : [],
+    total_tracks: result.tracks.length,
+    tracks: { items: result.tracks }
+  };
+}
+
+/**
+ * Add a result card to the shelf
+ * @param {Object} result - Result from the preview stream
+ */
+function addPreviewCard(result) {
+  const card = document.createElement('div');
+  card.className = 'preview-card';
+
+  if (result.image) {
+    const image = document.createElement('img');
+    image.className = 'preview-image';
+    image.src = result.image;
+    image.alt = result.name;
+    card.appendChild(image);
+  }
+
+  const info = document.createElement('div');
+  info.className = 'preview-info';
+
+  const title = document.createElement('div');
+  title.className = 'preview-title';
+  title.textContent = result.name;
+
+  const artist = document.createElement('div');
+  artist.className = 'preview-artist';
+  artist.textContent = result.artist;
+
+  const stats = document.createElement('div');
+  stats.className = 'preview-stats';
+  stats.textContent = `${result.tracks_with_previews} playable previews`;
+
+  const tracks = document.createElement('div');
+  tracks.className = 'preview-tracks';
+
+  result.tracks.forEach((track, index) => {
+    const trackElement = document.createElement('div');
+    trackElement.className = 'preview-track';
+    trackElement.textContent = track.name;
+    trackElement.title = track.name;
+
+    // Play this track, with the rest of the result queued after it
+    trackElement.addEventListener('click', (event) => {
+      event.stopPropagation();
+      window.loadRecord(previewResultToRecord(result), { autoplay: true, startIndex: index });
+    });
+
+    tracks.appendChild(trackElement);
+  });
+
+  info.appendChild(title);
+  info.appendChild(artist);
+  info.appendChild(stats);
+  info.appendChild(tracks);
+  card.appendChild(info);
+
+  // Clicking the card puts the whole result on the turntable
+  card.addEventListener('click', () => {
+    window.loadRecord(previewResultToRecord(result), { autoplay: true });
+  });
+
+  previewResults.appendChild(card);
+}
+
+// Set up event listeners
+discoverPreviewsBtn.addEventListener('click', startPreviewDiscovery);
+previewQueryInput.addEventListener('keydown', (event) => {
+  if (event.key === 'Enter') {
+    startPreviewDiscovery();
+  }
+});
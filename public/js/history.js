@@ -0,0 +1,330 @@
+/**
+ * Listening History
+ * Records tracks once they've played past a threshold and shows them in a
+ * drawer, from where any past track or record can be put back on the turntable.
+ */
+
+// A play counts after 30 seconds, or half the track when it's shorter than a minute
+const HISTORY_THRESHOLD_MS = 30000;
+const HISTORY_PAGE_SIZE = 20;
+
+// DOM elements
+const historyToggle = document.getElementById('historyToggle');
+const historyDrawer = document.getElementById('historyDrawer');
+const historyList = document.getElementById('historyList');
+const historyMoreBtn = document.getElementById('historyMoreBtn');
+const historyClearBtn = document.getElementById('historyClearBtn');
+const historyCloseBtn = document.getElementById('historyCloseBtn');
+
+// The play in progress: { track, source, logged }
+let currentPlay = null;
+
+// Offset of the next page to load, or null when everything is shown
+let historyNextOffset = 0;
+
+/**
+ * Start watching a new play of a track
+ * Called by playTrack; the same track played again counts again.
+ * @param {Object} track - Track object
+ * @param {Object} source - Record it's playing from
+ */
+function trackStarted(track, source) {
+  currentPlay = window.spotifyAuth.getAuthState().authenticated && track.id
+    ? { track, source, logged: false }
+    : null;
+}
+
+/**
+ * Report playback position; records the play once it passes the threshold
+ * @param {number} positionMs - Position in the track
+ * @param {number} durationMs - Length of what's playing (a preview is 30 seconds)
+ * @param {string} [trackId] - Id of the track the position is for, when known
+ */
+function reportProgress(positionMs, durationMs, trackId) {
+  if (!currentPlay || currentPlay.logged) return;
+  if (trackId && trackId !== currentPlay.track.id) return;
+
+  const threshold = durationMs > 0 ? Math.min(HISTORY_THRESHOLD_MS, durationMs / 2) : HISTORY_THRESHOLD_MS;
+
+  if (positionMs >= threshold) {
+    currentPlay.logged = true;
+    logPlay(currentPlay.track, currentPlay.source);
+  }
+}
+
+/**
+ * Send a play to the server
+ * @param {Object} track - Track object
+ * @param {Object} source - Record it played from
+ */
+async function logPlay(track, source) {
+  const album = source && source.type === 'album'
+    ? source
+    : track.album;
+
+  try {
+    const entry = await window.apiRequest('/history', {}, {
+      method: 'POST',
+      body: {
+        track: {
+          id: track.id,
+          name: track.name,
+          artists: track.artists,
+          duration_ms: track.duration_ms,
+          preview_url: track.preview_url
+        },
+        album: album && album.id ? {
+          id: album.id,
+          name: album.name,
+          image: album.images && album.images[0] ? album.images[0].url : null
+        } : null,
+        context: source && source.id ? { type: source.type, id: source.id, name: source.name } : null
+      },
+      baseUrl: '/api'
+    });
+
+    // Keep an open drawer up to date
+    if (historyDrawer.classList.contains('open')) {
+      removeEmptyMessage();
+      historyList.prepend(createHistoryItem(entry));
+    }
+  } catch (error) {
+    console.error('Error recording play:', error);
+  }
+}
+
+/**
+ * Open or close the drawer, loading the newest entries when it opens
+ */
+function toggleHistoryDrawer() {
+  const open = !historyDrawer.classList.contains('open');
+  historyDrawer.classList.toggle('open', open);
+  historyToggle.setAttribute('aria-expanded', String(open));
+
+  if (open) {
+    historyList.innerHTML = '';
+    historyNextOffset = 0;
+    loadHistoryPage();
+  }
+}
+
+/**
+ * Load the next page of history into the drawer
+ */
+async function loadHistoryPage() {
+  if (historyNextOffset === null) return;
+
+  historyMoreBtn.disabled = true;
+
+  try {
+    const page = await window.apiRequest('/history', { offset: historyNextOffset, limit: HISTORY_PAGE_SIZE }, { baseUrl: '/api' });
+
+    if (page.total === 0) {
+      historyList.innerHTML = '<div class="history-empty">Nothing played yet</div>';
+    }
+
+    page.items.forEach(entry => historyList.appendChild(createHistoryItem(entry)));
+    historyNextOffset = page.next_offset;
+  } catch (error) {
+    console.error('Error loading history:', error);
+    window.showNotification(`Could not load your history: ${error.message}`);
+  } finally {
+    historyMoreBtn.disabled = false;
+    historyMoreBtn.style.display = historyNextOffset === null ? 'none' : 'block';
+  }
+}
+
+/**
+ * Remove the "nothing played yet" message
+ */
+function removeEmptyMessage() {
+  const empty = historyList.querySelector('.history-empty');
+  if (empty) empty.remove();
+}
+
+/**
+ * Format when a track was played, e.g. "5 min ago"
+ * @param {string} playedAt - ISO timestamp
+ * @returns {string} Relative time
+ */
+function formatPlayedAt(playedAt) {
+  const minutes = Math.floor((Date.now() - new Date(playedAt).getTime()) / 60000);
+
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)} h ago`;
+  return new Date(playedAt).toLocaleDateString();
+}
+
+/**
+ * Get the record an entry can be re-cued from: its playlist or album, else the track's album
+ * @param {Object} entry - History entry
+ * @returns {Object|null} { type, id, name }
+ */
+function getEntryRecord(entry) {
+  if (entry.context && entry.context.id && ['album', 'playlist'].includes(entry.context.type)) {
+    return entry.context;
+  }
+  if (entry.album) {
+    return { type: 'album', id: entry.album.id, name: entry.album.name };
+  }
+  return null;
+}
+
+/**
+ * Build a drawer row for a history entry
+ * @param {Object} entry - History entry
+ * @returns {HTMLElement} Row element
+ */
+function createHistoryItem(entry) {
+  const item = document.createElement('div');
+  item.className = 'history-item';
+
+  const info = document.createElement('div');
+  info.className = 'history-info';
+
+  const title = document.createElement('div');
+  title.className = 'history-title';
+  title.textContent = entry.track.name;
+
+  const meta = document.createElement('div');
+  meta.className = 'history-meta';
+  meta.textContent = [
+    entry.track.artists.map(artist => artist.name).join(', '),
+    entry.album ? entry.album.name : null,
+    formatPlayedAt(entry.played_at)
+  ].filter(Boolean).join(' • ');
+
+  info.appendChild(title);
+  info.appendChild(meta);
+
+  const actions = document.createElement('div');
+  actions.className = 'history-actions';
+
+  const playBtn = document.createElement('button');
+  playBtn.textContent = 'Play';
+  playBtn.title = 'Play this track again';
+  playBtn.addEventListener('click', () => recueTrack(entry));
+  actions.appendChild(playBtn);
+
+  const record = getEntryRecord(entry);
+  if (record) {
+    const recordBtn = document.createElement('button');
+    recordBtn.textContent = record.type === 'playlist' ? 'Playlist' : 'Album';
+    recordBtn.title = `Put "${record.name || 'this record'}" on the turntable`;
+    recordBtn.addEventListener('click', () => recueRecord(record));
+    actions.appendChild(recordBtn);
+  }
+
+  const deleteBtn = document.createElement('button');
+  deleteBtn.className = 'history-delete';
+  deleteBtn.textContent = '✕';
+  deleteBtn.title = 'Remove from history';
+  deleteBtn.addEventListener('click', async () => {
+    try {
+      await window.apiRequest(`/history/${entry.id}`, {}, { method: 'DELETE', baseUrl: '/api' });
+      item.remove();
+    } catch (error) {
+      console.error('Error deleting history entry:', error);
+      window.showNotification(`Could not remove the entry: ${error.message}`);
+    }
+  });
+  actions.appendChild(deleteBtn);
+
+  item.appendChild(info);
+  item.appendChild(actions);
+  return item;
+}
+
+/**
+ * Fetch an album or playlist shaped for the turntable
+ * @param {Object} record - { type, id }
+ * @returns {Promise<Object>} Album-like object
+ */
+function fetchRecord(record) {
+  return window.apiRequest(`/${record.type}/${record.id}`);
+}
+
+/**
+ * Put a past track's record back on the turntable and play the track
+ * Falls back to a one-track record when the track is no longer on it.
+ * @param {Object} entry - History entry
+ */
+async function recueTrack(entry) {
+  const record = getEntryRecord(entry);
+
+  try {
+    if (record) {
+      const loaded = await fetchRecord(record);
+      const startIndex = loaded.tracks.items.findIndex(track => track.id === entry.track.id);
+
+      if (startIndex >= 0) {
+        window.loadRecord(loaded, { autoplay: true, startIndex });
+        return;
+      }
+    }
+
+    window.loadRecord({
+      id: null,
+      name: entry.track.name,
+      type: 'tracks',
+      artists: entry.track.artists,
+      images: entry.album && entry.album.image ? [{ url: entry.album.image }] : [],
+      tracks: { items: [entry.track] }
+    }, { autoplay: true });
+  } catch (error) {
+    console.error('Error re-cueing track:', error);
+    window.showNotification(`Could not play the track: ${error.message}`);
+  }
+}
+
+/**
+ * Put a past album or playlist back on the turntable
+ * @param {Object} record - { type, id, name }
+ */
+async function recueRecord(record) {
+  try {
+    window.loadRecord(await fetchRecord(record));
+    window.showNotification(`"${record.name || 'Record'}" loaded! Click the record to play.`);
+  } catch (error) {
+    console.error('Error re-cueing record:', error);
+    window.showNotification(`Could not load the record: ${error.message}`);
+  }
+}
+
+/**
+ * Clear the whole history after confirming
+ */
+async function clearHistory() {
+  if (!confirm('Clear your whole listening history?')) return;
+
+  try {
+    await window.apiRequest('/history', {}, { method: 'DELETE', baseUrl: '/api' });
+    historyList.innerHTML = '<div class="history-empty">Nothing played yet</div>';
+    historyNextOffset = null;
+    historyMoreBtn.style.display = 'none';
+  } catch (error) {
+    console.error('Error clearing history:', error);
+    window.showNotification(`Could not clear your history: ${error.message}`);
+  }
+}
+
+/**
+ * Show the history button once we know the user is logged in
+ */
+function enableHistory() {
+  historyToggle.style.display = 'block';
+}
+
+// Set up event listeners
+historyToggle.addEventListener('click', toggleHistoryDrawer);
+historyCloseBtn.addEventListener('click', toggleHistoryDrawer);
+historyMoreBtn.addEventListener('click', loadHistoryPage);
+historyClearBtn.addEventListener('click', clearHistory);
+
+// Export functions to window
+window.listeningHistory = {
+  enableHistory,
+  trackStarted,
+  reportProgress
+};
@@ -0,0 +1,111 @@
+/**
+ * Library Hearts
+ * Heart toggles that save and unsave tracks and albums in the user's Spotify library
+ */
+
+// Saved state by "type:id", shared by every heart showing the same item
+const savedItems = new Map();
+
+/**
+ * Create a heart toggle for a track or album
+ * @param {string} type - 'tracks' or 'albums'
+ * @param {string} id - Spotify id
+ * @param {string} name - Item name, for the tooltip
+ * @returns {HTMLButtonElement|null} Button, or null when it can't be saved
+ */
+function createHeartButton(type, id, name) {
+  if (!id || !window.spotifyAuth.getAuthState().authenticated) {
+    return null;
+  }
+
+  const button = document.createElement('button');
+  button.className = 'heart-toggle';
+  button.dataset.type = type;
+  button.dataset.id = id;
+  button.dataset.name = name;
+  renderHeart(button, savedItems.get(`${type}:${id}`) === true);
+
+  button.addEventListener('click', (event) => {
+    event.stopPropagation();
+    toggleSaved(type, id, name);
+  });
+
+  return button;
+}
+
+/**
+ * Show a heart as saved or not
+ * @param {HTMLButtonElement} button - Heart button
+ * @param {boolean} saved - Whether the item is in the library
+ */
+function renderHeart(button, saved) {
+  button.classList.toggle('saved', saved);
+  button.textContent = saved ? '♥' : '♡';
+  button.setAttribute('aria-pressed', String(saved));
+  button.title = saved
+    ? `Remove "${button.dataset.name}" from your library`
+    : `Save "${button.dataset.name}" to your library`;
+}
+
+/**
+ * Record an item's saved state and update every heart showing it
+ * @param {string} type - 'tracks' or 'albums'
+ * @param {string} id - Spotify id
+ * @param {boolean} saved - Whether the item is in the library
+ */
+function setSaved(type, id, saved) {
+  savedItems.set(`${type}:${id}`, saved);
+  document.querySelectorAll(`.heart-toggle[data-type="${type}"][data-id="${id}"]`).forEach(button => {
+    renderHeart(button, saved);
+  });
+}
+
+/**
+ * Look up the saved state of many items at once
+ * @param {string} type - 'tracks' or 'albums'
+ * @param {Array<string>} ids - Spotify ids
+ */
+async function checkSaved(type, ids) {
+  const uniqueIds = [...new Set(ids.filter(Boolean))];
+
+  if (uniqueIds.length === 0 || !window.spotifyAuth.getAuthState().authenticated) {
+    return;
+  }
+
+  try {
+    // The server splits the ids into batches Spotify accepts
+    const saved = await window.apiRequest(`/me/library/${type}/contains`, { ids: uniqueIds.join(',') });
+    uniqueIds.forEach((id, index) => setSaved(type, id, saved[index] === true));
+  } catch (error) {
+    console.error(`Error checking saved ${type}:`, error);
+  }
+}
+
+/**
+ * Save or unsave an item, updating the heart straight away
+ * @param {string} type - 'tracks' or 'albums'
+ * @param {string} id - Spotify id
+ * @param {string} name - Item name, for the notification
+ */
+async function toggleSaved(type, id, name) {
+  const wasSaved = savedItems.get(`${type}:${id}`) === true;
+  setSaved(type, id, !wasSaved);
+
+  try {
+    await window.apiRequest(`/me/library/${type}`, {}, {
+      method: wasSaved ? 'DELETE' : 'PUT',
+      body: { ids: [id] }
+    });
+    window.showNotification(wasSaved ? `Removed "${name}" from your library` : `Saved "${name}" to your library`);
+  } catch (error) {
+    console.error('Error updating library:', error);
+    setSaved(type, id, wasSaved);
+    window.showNotification(`Could not update your library: ${error.message}`);
+  }
+}
+
+// Export functions to window
+window.libraryHearts = {
+  createHeartButton,
+  checkSaved
+};
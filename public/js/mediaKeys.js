@@ -0,0 +1,212 @@
+/**
+ * Media Keys and Shortcuts
+ * Publishes what's playing to the Media Session API so hardware media keys
+ * and the OS media overlay work, and adds in-page keyboard shortcuts with a
+ * help overlay listing them.
+ */
+
+// How far the arrow keys seek and turn the volume
+const SHORTCUT_SEEK_MS = 5000;
+const SHORTCUT_VOLUME_STEP = 0.05;
+
+// DOM elements
+const shortcutHelp = document.getElementById('shortcutHelp');
+const shortcutList = document.getElementById('shortcutList');
+const shortcutHelpBtn = document.getElementById('shortcutHelpBtn');
+const shortcutCloseBtn = document.getElementById('shortcutCloseBtn');
+
+// Player actions, registered by app.js: togglePlay, play, pause, next, previous, seek
+let playerActions = null;
+
+// Last reported position, for seeking relative to it
+let shortcutPositionMs = 0;
+let shortcutDurationMs = 0;
+
+// Shortcuts, also used to build the help overlay
+const SHORTCUTS = [
+  { keys: [' '], label: 'Space', description: 'Play / pause', run: () => playerActions.togglePlay() },
+  { keys: ['ArrowLeft'], label: '←', description: 'Back 5 seconds', run: () => seekBy(-SHORTCUT_SEEK_MS) },
+  { keys: ['ArrowRight'], label: '→', description: 'Forward 5 seconds', run: () => seekBy(SHORTCUT_SEEK_MS) },
+  { keys: ['ArrowUp'], label: '↑', description: 'Volume up', run: () => window.volumeControl.nudgeVolume(SHORTCUT_VOLUME_STEP) },
+  { keys: ['ArrowDown'], label: '↓', description: 'Volume down', run: () => window.volumeControl.nudgeVolume(-SHORTCUT_VOLUME_STEP) },
+  { keys: ['n', 'N'], label: 'N', description: 'Next track', run: () => playerActions.next() },
+  { keys: ['p', 'P'], label: 'P', description: 'Previous track', run: () => playerActions.previous() },
+  { keys: ['m', 'M'], label: 'M', description: 'Mute / unmute', run: () => window.volumeControl.toggleMute() },
+  { keys: ['/'], label: '/', description: 'Search for an artist', run: () => document.getElementById('artistInput').focus() },
+  { keys: ['?'], label: '?', description: 'Show these shortcuts', run: () => toggleShortcutHelp() }
+];
+
+// Keys that buttons, sliders and sleeves already handle when they have focus
+const FOCUS_KEYS = [' ', 'Enter', 'ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown'];
+
+/**
+ * Set what the media keys and shortcuts do
+ * @param {Object} actions - { togglePlay, play, pause, next, previous, seek(positionMs) }
+ */
+function setActions(actions) {
+  playerActions = actions;
+
+  if (!('mediaSession' in navigator)) return;
+
+  const handlers = {
+    play: () => actions.play(),
+    pause: () => actions.pause(),
+    nexttrack: () => actions.next(),
+    previoustrack: () => actions.previous(),
+    seekto: (details) => actions.seek(details.seekTime * 1000),
+    seekbackward: (details) => seekBy(-(details.seekOffset || SHORTCUT_SEEK_MS / 1000) * 1000),
+    seekforward: (details) => seekBy((details.seekOffset || SHORTCUT_SEEK_MS / 1000) * 1000)
+  };
+
+  Object.entries(handlers).forEach(([action, handler]) => {
+    try {
+      navigator.mediaSession.setActionHandler(action, handler);
+    } catch (error) {
+      // Older browsers don't know every action
+      console.warn(`Media session action "${action}" is not supported`);
+    }
+  });
+}
+
+/**
+ * Show a track in the OS media overlay
+ * @param {Object} track - Track object
+ * @param {Object} record - Record it's playing from
+ */
+function setNowPlaying(track, record) {
+  if (!('mediaSession' in navigator)) return;
+
+  const images = record && record.images && record.images.length > 0
+    ? record.images
+    : (track.album && track.album.images) || [];
+
+  navigator.mediaSession.metadata = new MediaMetadata({
+    title: track.name,
+    artist: (track.artists || []).map(artist => artist.name).join(', '),
+    album: record ? record.name : '',
+    artwork: images.map(image => ({
+      src: image.url,
+      ...(image.width && image.height ? { sizes: `${image.width}x${image.height}` } : {})
+    }))
+  });
+}
+
+/**
+ * Tell the OS whether something is playing
+ * @param {string} state - 'playing', 'paused' or 'none'
+ */
+function setPlaybackState(state) {
+  if ('mediaSession' in navigator) {
+    navigator.mediaSession.playbackState = state;
+  }
+}
+
+/**
+ * Report the playback position for the OS scrubber and the arrow keys
+ * @param {number} positionMs - Position in the track
+ * @param {number} durationMs - Length of what's playing
+ */
+function setPosition(positionMs, durationMs) {
+  shortcutPositionMs = positionMs;
+  shortcutDurationMs = durationMs;
+
+  if (!('mediaSession' in navigator) || !navigator.mediaSession.setPositionState || !(durationMs > 0)) return;
+
+  try {
+    navigator.mediaSession.setPositionState({
+      duration: durationMs / 1000,
+      position: Math.min(Math.max(positionMs, 0), durationMs) / 1000
+    });
+  } catch (error) {
+    console.warn('Could not update the media session position:', error);
+  }
+}
+
+/**
+ * Seek relative to the last reported position
+ * @param {number} deltaMs - How far to move; negative goes back
+ */
+function seekBy(deltaMs) {
+  if (!(shortcutDurationMs > 0)) return;
+  playerActions.seek(Math.min(Math.max(shortcutPositionMs + deltaMs, 0), shortcutDurationMs));
+}
+
+/**
+ * Fill the help overlay from the shortcut list
+ */
+function renderShortcutHelp() {
+  SHORTCUTS.forEach(shortcut => {
+    const key = document.createElement('dt');
+    const kbd = document.createElement('kbd');
+    kbd.textContent = shortcut.label;
+    key.appendChild(kbd);
+
+    const description = document.createElement('dd');
+    description.textContent = shortcut.description;
+
+    shortcutList.appendChild(key);
+    shortcutList.appendChild(description);
+  });
+}
+
+/**
+ * Open or close the help overlay
+ */
+function toggleShortcutHelp() {
+  shortcutHelp.hidden = !shortcutHelp.hidden;
+  if (!shortcutHelp.hidden) {
+    shortcutCloseBtn.focus();
+  }
+}
+
+/**
+ * Whether a key press belongs to whatever has focus rather than to the shortcuts
+ * @param {KeyboardEvent} event - Key event
+ * @returns {boolean} Whether to leave the key alone
+ */
+function isKeyForFocusedElement(event) {
+  const target = event.target;
+
+  if (target.closest('input, textarea, select, [contenteditable="true"]')) {
+    return true;
+  }
+
+  return FOCUS_KEYS.includes(event.key) && Boolean(target.closest('button, a, [role="slider"], [role="button"]'));
+}
+
+// Set up event listeners
+document.addEventListener('keydown', (event) => {
+  if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return;
+
+  if (event.key === 'Escape' && !shortcutHelp.hidden) {
+    toggleShortcutHelp();
+    return;
+  }
+
+  if (!playerActions || isKeyForFocusedElement(event)) return;
+
+  const shortcut = SHORTCUTS.find(item => item.keys.includes(event.key));
+  if (shortcut) {
+    event.preventDefault();
+    shortcut.run();
+  }
+});
+
+shortcutHelpBtn.addEventListener('click', toggleShortcutHelp);
+shortcutCloseBtn.addEventListener('click', toggleShortcutHelp);
+shortcutHelp.addEventListener('click', (event) => {
+  // Clicking the backdrop closes it
+  if (event.target === shortcutHelp) {
+    toggleShortcutHelp();
+  }
+});
+
+renderShortcutHelp();
+
+// Export functions to window
+window.mediaKeys = {
+  setActions,
+  setNowPlaying,
+  setPlaybackState,
+  setPosition
+};
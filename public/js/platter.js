@@ -0,0 +1,167 @@
+/**
+ * Platter
+ * Spins the record up and brakes it down like a real deck, and makes the
+ * preview audio and the vinyl noise glide in pitch with it. Full tracks from
+ * the Web Playback SDK can't change speed, so for them only the platter ramps.
+ */
+
+const PLATTER_STORAGE_KEY = 'vinylPlayer.motorRamp';
+
+// Time to get from standstill to 33⅓, and back; faster speeds take longer
+const DEFAULT_RAMP_SECONDS = 1;
+
+// Seconds per turn at 33⅓; slower than a real deck so the label stays readable
+const SPIN_PERIOD_SECONDS = 5;
+
+// Lowest rate browsers will play a media element at
+const MIN_MEDIA_RATE = 0.0625;
+
+// DOM elements
+const platterVinyl = document.getElementById('vinyl');
+const motorRampSlider = document.getElementById('motorRampSlider');
+
+// Motor and platter state; rate 1 is 33⅓
+let motorOn = false;
+let platterRate = 0;
+let platterAngle = 0;
+let rampSeconds = DEFAULT_RAMP_SECONDS;
+
+// Animation frame while the platter moves, and when the last frame ran
+let platterFrame = null;
+let lastFrameAt = null;
+
+// Called once when a brake brings the platter to a stop
+let brakeCallback = null;
+
+/**
+ * Read the saved ramp time, if any
+ */
+function loadPlatterSettings() {
+  const saved = parseFloat(localStorage.getItem(PLATTER_STORAGE_KEY));
+  if (!isNaN(saved)) {
+    rampSeconds = Math.min(Math.max(saved, 0), Number(motorRampSlider.max));
+  }
+  motorRampSlider.value = rampSeconds;
+}
+
+/**
+ * Get the speed the platter is heading for
+ * @returns {number} Rate, 0 when the motor is off
+ */
+function getTargetRate() {
+  return motorOn ? window.turntableSpeed.getPlaybackRate() : 0;
+}
+
+/**
+ * Play the audio at the platter's current speed
+ */
+function applyPlatterRate() {
+  const mediaRate = Math.max(platterRate, MIN_MEDIA_RATE);
+
+  // Pitch only holds once the platter is up to speed; ramps always glide
+  const keepPitch = window.turntableSpeed.keepsPitch() && platterRate === getTargetRate();
+
+  // Both preview decks, so a crossfade stays in step
+  window.previewDecks.elements().forEach(audio => {
+    // A new preview resets the element's rate, so compare against the element itself
+    if (audio.playbackRate !== mediaRate) {
+      audio.playbackRate = mediaRate;
+    }
+
+    audio.preservesPitch = keepPitch;
+    audio.mozPreservesPitch = keepPitch;
+    audio.webkitPreservesPitch = keepPitch;
+  });
+
+  if (window.vinylSource) {
+    window.vinylSource.playbackRate.value = platterRate;
+  }
+  window.vinylEngine.setPlaybackRate(platterRate);
+}
+
+/**
+ * Advance the platter one animation frame
+ * @param {number} now - Frame timestamp
+ */
+function stepPlatter(now) {
+  const elapsed = lastFrameAt === null ? 0 : (now - lastFrameAt) / 1000;
+  lastFrameAt = now;
+
+  // Constant torque: every second of ramp time covers one 33⅓ worth of speed
+  const target = getTargetRate();
+  const step = rampSeconds > 0 ? elapsed / rampSeconds : Infinity;
+  platterRate = platterRate < target
+    ? Math.min(platterRate + step, target)
+    : Math.max(platterRate - step, target);
+
+  platterAngle = (platterAngle + platterRate * elapsed * 360 / SPIN_PERIOD_SECONDS) % 360;
+  platterVinyl.style.setProperty('--platter-angle', `${platterAngle}deg`);
+
+  applyPlatterRate();
+
+  if (platterRate === 0 && !motorOn) {
+    platterFrame = null;
+    lastFrameAt = null;
+
+    const callback = brakeCallback;
+    brakeCallback = null;
+    if (callback) callback();
+    return;
+  }
+
+  platterFrame = requestAnimationFrame(stepPlatter);
+}
+
+/**
+ * Keep animating until the platter settles
+ */
+function runPlatter() {
+  if (platterFrame === null) {
+    platterFrame = requestAnimationFrame(stepPlatter);
+  }
+}
+
+/**
+ * Switch the motor on and spin up
+ * Cancels a brake that's still winding down.
+ */
+function startPlatter() {
+  motorOn = true;
+  brakeCallback = null;
+  runPlatter();
+}
+
+/**
+ * Switch the motor off and brake
+ * @param {Function} [onStopped] - Called once the platter stands still
+ */
+function stopPlatter(onStopped) {
+  motorOn = false;
+  brakeCallback = onStopped || null;
+
+  if (platterRate === 0 && platterFrame === null) {
+    brakeCallback = null;
+    if (onStopped) onStopped();
+    return;
+  }
+
+  runPlatter();
+}
+
+// Set up event listeners
+motorRampSlider.addEventListener('input', () => {
+  rampSeconds = Number(motorRampSlider.value);
+  try {
+    localStorage.setItem(PLATTER_STORAGE_KEY, String(rampSeconds));
+  } catch (error) {
+    console.warn('Could not save ramp time:', error);
+  }
+});
+
+loadPlatterSettings();
+
+// Export functions to window
+window.platter = {
+  start: startPlatter,
+  stop: stopPlatter
+};
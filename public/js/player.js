@@ -8,6 +8,18 @@ let spotifyPlayer = null;
 let deviceId = null;
 let playerConnected = false;
 let currentTrackId = null;
+let lastPlayerState = null;
+let positionPollTimer = null;
+
+// Spotify Connect device playing instead of this browser, or null for this browser
+let remoteDeviceId = null;
+let remoteVolumeTimer = null;
+
+// The SDK only reports state when something changes, so poll for the position while playing
+const POSITION_POLL_MS = 1000;
+
+// Wait for the volume knob to settle before telling a remote device
+const REMOTE_VOLUME_DELAY_MS = 300;
 window.playerIsPlaying = false;
 
 console.log("Player.js loading, SDK ready:", !!window.Spotify);
@@ -54,11 +66,14 @@ async function initPlayer() {
   return new Promise((resolve) => {
     spotifyPlayer = new Spotify.Player({
       name: 'Virtual Vinyl Player',
-      getOAuthToken: cb => {
-        // Provide the current access token
-        cb(authState.accessToken);
+      getOAuthToken: async cb => {
+        // Provide the current access token, refreshing it through the server if it has expired
+        if (Date.now() > window.spotifyAuth.getAuthState().expiresAt) {
+          await refreshToken();
+        }
+        cb(window.spotifyAuth.getAuthState().accessToken);
       },
-      volume: 0.5
+      volume: window.volumeControl.getVolume()
     });
     
     // Error handling
@@ -109,19 +124,21 @@ async function initPlayer() {
     spotifyPlayer.addListener('player_state_changed', (state) => {
       if (!state) return;
       
-      // Update track info
-      const trackInfo = state.track_window.current_track;
-      updatePlayerInfo(trackInfo);
-      
-      // Update player state
-      window.playerIsPlaying = !state.paused;
+      // Let the play queue move on when a track has played to the end
+      const trackEnded = hasTrackEnded(lastPlayerState, state);
+      lastPlayerState = state;
       
-      // Update UI
-      if (window.playerIsPlaying) {
-        startPlayback();
-      } else {
-        pauseVisualPlayback();
+      if (trackEnded && window.handleTrackEnded) {
+        window.playerIsPlaying = false;
+        updatePositionPolling();
+        window.handleTrackEnded();
+        return;
       }
+      
+      // Update player state; app.js follows skips, pauses and seeks made from other apps
+      window.playerIsPlaying = !state.paused;
+      reportPlayerState(state);
+      updatePositionPolling();
     });
     
     // Connect to the player
@@ -129,12 +146,85 @@ async function initPlayer() {
   });
 }
 
+/**
+ * Pass the SDK's state on to the rest of the app
+ * @param {Object} state - Player state
+ */
+function reportPlayerState(state) {
+  if (window.reconcilePlayback) {
+    window.reconcilePlayback(sdkStateToSnapshot(state));
+  }
+}
+
+/**
+ * Describe an SDK player state the way app.js reconciles playback
+ * @param {Object} state - Player state
+ * @returns {Object} Playback snapshot
+ */
+function sdkStateToSnapshot(state) {
+  const track = state.track_window.current_track;
+  
+  if (!track) {
+    return { track: null, paused: state.paused };
+  }
+  
+  return {
+    track,
+    // Relinked tracks play under a different id than the one we asked for, so the requested id comes first
+    trackIds: [track.linked_from && track.linked_from.id, track.id].filter(Boolean),
+    // The SDK only gives the album's URI: spotify:album:<id>
+    albumId: track.album && track.album.uri ? track.album.uri.split(':')[2] : null,
+    contextUri: state.context && state.context.uri ? state.context.uri : null,
+    positionMs: state.position,
+    durationMs: state.duration,
+    paused: state.paused
+  };
+}
+
+/**
+ * Poll the SDK for the position while it's playing, and stop when it isn't
+ */
+function updatePositionPolling() {
+  if (window.playerIsPlaying && !positionPollTimer) {
+    positionPollTimer = setInterval(async () => {
+      const state = await spotifyPlayer.getCurrentState();
+      if (state) {
+        reportPlayerState(state);
+      }
+    }, POSITION_POLL_MS);
+  } else if (!window.playerIsPlaying && positionPollTimer) {
+    clearInterval(positionPollTimer);
+    positionPollTimer = null;
+  }
+}
+
+/**
+ * Work out whether a state change means the track finished on its own
+ * The SDK has no "ended" event: a finished track leaves the player paused at
+ * position 0 with that track in previous_tracks, while a user pause keeps its position.
+ * @param {Object} previous - Previous player state
+ * @param {Object} state - New player state
+ * @returns {boolean} Whether the track ended
+ */
+function hasTrackEnded(previous, state) {
+  if (!previous || previous.paused || !state.paused || state.position !== 0) {
+    return false;
+  }
+  
+  const finishedId = previous.track_window.current_track.id;
+  return state.track_window.previous_tracks.some(track => track.id === finishedId);
+}
+
 /**
  * Play a track on the Spotify player
  * @param {string} trackUri - Spotify track URI
  * @returns {Promise<boolean>} Success status
  */
 async function playTrack(trackUri) {
+  if (remoteDeviceId) {
+    return playOnRemoteDevice(trackUri);
+  }
+  
   if (!playerConnected || !deviceId) {
     // Try to initialize the player if not connected
     const initialized = await initPlayer();
@@ -178,6 +268,64 @@ async function playTrack(trackUri) {
   }
 }
 
+/**
+ * Send a command to the remote device through the Web API
+ * @param {string} endpoint - Player endpoint, e.g. '/me/player/pause'
+ * @param {Object} [options] - Query parameters and fetch options
+ * @returns {Promise<Response>} Response
+ */
+async function remotePlayerRequest(endpoint, { params = {}, ...options } = {}) {
+  const query = new URLSearchParams({ ...params, device_id: remoteDeviceId });
+  const response = await window.spotifyAuth.spotifyApiRequest(`${endpoint}?${query}`, {
+    method: 'PUT',
+    ...options
+  });
+  
+  if (!response.ok) {
+    throw new Error(`Spotify returned ${response.status} for ${endpoint}`);
+  }
+  
+  return response;
+}
+
+/**
+ * Play a track on the remote device
+ * @param {string} trackUri - Spotify track URI
+ * @returns {Promise<boolean>} Success status
+ */
+async function playOnRemoteDevice(trackUri) {
+  try {
+    await remotePlayerRequest('/me/player/play', {
+      body: JSON.stringify({ uris: [trackUri] })
+    });
+    
+    currentTrackId = trackUri;
+    window.playerIsPlaying = true;
+    startPlayback();
+    return true;
+  } catch (error) {
+    console.error('Failed to play on remote device:', error);
+    showNotification('Could not play on the selected device');
+    return false;
+  }
+}
+
+/**
+ * Play on a Spotify Connect device instead of this browser
+ * @param {string|null} id - Device id, or null to play in this browser again
+ */
+function setRemoteDevice(id) {
+  remoteDeviceId = id;
+}
+
+/**
+ * Get the SDK's device id for this browser
+ * @returns {string|null} Device id, once the player is ready
+ */
+function getLocalDeviceId() {
+  return deviceId;
+}
+
 /**
  * Fall back to preview URL if full playback fails
  * @param {string} trackUri - Spotify track URI
@@ -198,10 +346,8 @@ async function fallbackToPreview(trackUri) {
     const track = await response.json();
     
     if (track.preview_url) {
-      // Use the audio element to play the preview
-      const audioPlayer = document.getElementById('audioPlayer');
-      audioPlayer.src = track.preview_url;
-      audioPlayer.play()
+      // Use the preview decks to play the preview
+      window.previewDecks.play(track.preview_url)
         .then(() => {
           // Update UI
           updatePlayerInfo({
@@ -269,6 +415,18 @@ function updatePlayerInfo(trackInfo) {
  * @returns {Promise<boolean>} Success status
  */
 async function pausePlayback() {
+  if (remoteDeviceId) {
+    try {
+      await remotePlayerRequest('/me/player/pause');
+      window.playerIsPlaying = false;
+      pauseVisualPlayback();
+      return true;
+    } catch (error) {
+      console.error('Failed to pause remote device:', error);
+      return false;
+    }
+  }
+  
   if (spotifyPlayer && playerConnected) {
     try {
       await spotifyPlayer.pause();
@@ -280,9 +438,8 @@ async function pausePlayback() {
     }
   }
   
-  // Fallback to audio element
-  const audioPlayer = document.getElementById('audioPlayer');
-  audioPlayer.pause();
+  // Fallback to the preview decks
+  window.previewDecks.pause();
   
   // Stop vinyl sound
   if (window.vinylSource) {
@@ -295,11 +452,80 @@ async function pausePlayback() {
   return true;
 }
 
+/**
+ * Seek within the current track
+ * @param {number} positionMs - Position to seek to
+ * @returns {Promise<boolean>} Success status
+ */
+async function seekPlayback(positionMs) {
+  if (remoteDeviceId) {
+    try {
+      await remotePlayerRequest('/me/player/seek', { params: { position_ms: Math.round(positionMs) } });
+      return true;
+    } catch (error) {
+      console.error('Failed to seek on remote device:', error);
+      return false;
+    }
+  }
+  
+  if (!spotifyPlayer || !playerConnected) {
+    return false;
+  }
+  
+  try {
+    await spotifyPlayer.seek(Math.round(positionMs));
+    return true;
+  } catch (error) {
+    console.error('Failed to seek:', error);
+    return false;
+  }
+}
+
+/**
+ * Set the SDK player's volume
+ * @param {number} volume - 0 to 1
+ * @returns {Promise<boolean>} Success status
+ */
+async function setPlayerVolume(volume) {
+  if (remoteDeviceId) {
+    clearTimeout(remoteVolumeTimer);
+    remoteVolumeTimer = setTimeout(() => {
+      remotePlayerRequest('/me/player/volume', { params: { volume_percent: Math.round(volume * 100) } })
+        .catch(error => console.error('Failed to set remote volume:', error));
+    }, REMOTE_VOLUME_DELAY_MS);
+    return true;
+  }
+  
+  if (!spotifyPlayer || !playerConnected) {
+    return false;
+  }
+  
+  try {
+    await spotifyPlayer.setVolume(volume);
+    return true;
+  } catch (error) {
+    console.error('Failed to set volume:', error);
+    return false;
+  }
+}
+
 /**
  * Resume playback
  * @returns {Promise<boolean>} Success status
  */
 async function resumePlayback() {
+  if (remoteDeviceId) {
+    try {
+      await remotePlayerRequest('/me/player/play');
+      window.playerIsPlaying = true;
+      startPlayback();
+      return true;
+    } catch (error) {
+      console.error('Failed to resume remote device:', error);
+      return false;
+    }
+  }
+  
   if (spotifyPlayer && playerConnected) {
     try {
       await spotifyPlayer.resume();
@@ -311,8 +537,8 @@ async function resumePlayback() {
     }
   }
   
-  // Fallback to audio element
-  const audioPlayer = document.getElementById('audioPlayer');
+  // Fallback to the preview deck that was playing
+  const audioPlayer = window.previewDecks.active();
   
   if (audioPlayer.src) {
     try {
@@ -369,6 +595,11 @@ function pauseVisualPlayback() {
   
   if (vinyl) vinyl.classList.remove('spinning');
   
+  // Brake the platter and lift the arm; the SDK audio itself stops straight away
+  window.platter.stop();
+  window.tonearmControl.liftArm();
+  window.mediaKeys.setPlaybackState('paused');
+  
   // Update the play/pause button
   const transportPlayPauseBtn = document.getElementById('transportPlayPauseBtn');
   const playAlbumBtn = document.getElementById('playAlbumBtn');
@@ -438,6 +669,11 @@ window.spotifyPlayer = {
   playTrack,
   pausePlayback,
   resumePlayback,
+  seekPlayback,
+  setVolume: setPlayerVolume,
   togglePlayback,
-  getPlaybackState
+  getPlaybackState,
+  updatePlayerInfo,
+  setRemoteDevice,
+  getLocalDeviceId
 };
\ No newline at end of file
@@ -0,0 +1,96 @@
+/**
+ * Playlist Picker
+ * Lets logged-in users put one of their own or followed playlists on the turntable
+ */
+
+// DOM elements
+const playlistPicker = document.getElementById('playlistPicker');
+const playlistSelect = document.getElementById('playlistSelect');
+const loadPlaylistBtn = document.getElementById('loadPlaylistBtn');
+
+/**
+ * Fetch the user's playlists and fill the picker
+ * Called by app.js once we know the user is logged in
+ */
+async function loadPlaylists() {
+  playlistPicker.style.display = 'flex';
+  playlistSelect.disabled = true;
+  playlistSelect.innerHTML = '<option value="">Loading playlists...</option>';
+
+  try {
+    const playlists = await window.apiRequest('/me/playlists');
+
+    playlistSelect.innerHTML = '<option value="">Select a playlist</option>';
+
+    playlists.forEach(playlist => {
+      const option = document.createElement('option');
+      option.value = playlist.id;
+      option.textContent = formatPlaylistOption(playlist);
+      playlistSelect.appendChild(option);
+    });
+
+    playlistSelect.disabled = playlists.length === 0;
+  } catch (error) {
+    console.error('Error loading playlists:', error);
+    playlistSelect.innerHTML = '<option value="">Could not load playlists</option>';
+  }
+}
+
+/**
+ * Build the picker label, e.g. "Road Trip (42 tracks, by Sam)"
+ * @param {Object} playlist - Playlist summary from the server
+ * @returns {string} Option label
+ */
+function formatPlaylistOption(playlist) {
+  const details = [`${playlist.total_tracks} tracks`];
+
+  if (playlist.owner) {
+    details.push(`by ${playlist.owner}`);
+  }
+
+  return `${playlist.name} (${details.join(', ')})`;
+}
+
+/**
+ * Load the selected playlist onto the turntable
+ */
+async function handlePlaylistLoad() {
+  const playlistId = playlistSelect.value;
+
+  if (!playlistId) {
+    return;
+  }
+
+  try {
+    loadPlaylistBtn.textContent = 'Loading...';
+    loadPlaylistBtn.disabled = true;
+
+    // The server follows every page of tracks and shapes the playlist like an album
+    const playlist = await window.apiRequest(`/playlist/${playlistId}`);
+
+    if (playlist.tracks.items.length === 0) {
+      window.showNotification('This playlist has no playable tracks');
+      return;
+    }
+
+    window.loadRecord(playlist);
+    window.showNotification('Playlist loaded! Click the record to play.');
+  } catch (error) {
+    console.error('Error loading playlist:', error);
+    window.showNotification(`Could not load the playlist: ${error.message}`);
+  } finally {
+    loadPlaylistBtn.textContent = 'Load Playlist';
+    loadPlaylistBtn.disabled = !playlistSelect.value;
+  }
+}
+
+// Set up event listeners
+playlistSelect.addEventListener('change', () => {
+  loadPlaylistBtn.disabled = !playlistSelect.value;
+});
+loadPlaylistBtn.addEventListener('click', handlePlaylistLoad);
+
+// Export functions to window
+window.playlistPicker = {
+  loadPlaylists
+};
@@ -0,0 +1,294 @@
+/**
+ * Preview Decks
+ * Two audio elements take turns playing previews, like the two decks of a DJ
+ * setup: while one plays, the other loads the next preview in the queue, so
+ * the next track starts without waiting for it to load. Tracks run into each
+ * other back to back, or overlap by a crossfade of up to 12 seconds made with
+ * gain ramps in the vinyl engine.
+ */
+
+const CROSSFADE_STORAGE_KEY = 'vinylPlayer.crossfade';
+const MAX_CROSSFADE_SECONDS = 12;
+
+// Even a gapless change overlaps the decks briefly, covering the moment the next one takes to start
+const GAPLESS_FADE_SECONDS = 0.05;
+
+// timeupdate only fires a few times a second, so start watching for the end this much early
+const TRANSITION_LOOKAHEAD_SECONDS = 0.5;
+
+// DOM elements
+const deckElements = [document.getElementById('audioPlayer'), document.getElementById('audioPlayerB')];
+const crossfadeSlider = document.getElementById('crossfadeSlider');
+const crossfadeValue = document.getElementById('crossfadeValue');
+
+// Deck that's playing (or was last played); the other one preloads
+let activeDeckIndex = 0;
+
+// Crossfade length; 0 plays tracks back to back
+let crossfadeSeconds = 0;
+
+// Timer that moves on to the next track just before the active deck runs out
+let transitionTimer = null;
+
+// Set while moving on by itself, so the next preview fades in rather than cutting
+let autoTransition = false;
+
+// Timer that stops the outgoing deck once it has faded out
+let fadeOutTimer = null;
+
+// Registered by app.js: the preview that plays next, and what to do when it's time
+let upcomingPreviewProvider = null;
+let transitionHandler = null;
+
+/**
+ * Read the saved crossfade length, if any
+ */
+function loadCrossfadeSettings() {
+  const saved = parseFloat(localStorage.getItem(CROSSFADE_STORAGE_KEY));
+  if (!isNaN(saved)) {
+    crossfadeSeconds = Math.min(Math.max(saved, 0), MAX_CROSSFADE_SECONDS);
+  }
+  crossfadeSlider.value = crossfadeSeconds;
+  renderCrossfadeValue();
+}
+
+/**
+ * Show the crossfade length next to its slider
+ */
+function renderCrossfadeValue() {
+  crossfadeValue.textContent = crossfadeSeconds > 0 ? `${crossfadeSeconds} s` : 'Gapless';
+}
+
+/**
+ * Get the deck that's playing
+ * @returns {HTMLAudioElement} Audio element
+ */
+function getActiveDeck() {
+  return deckElements[activeDeckIndex];
+}
+
+/**
+ * Get the deck that's free to load the next preview
+ * @returns {HTMLAudioElement} Audio element
+ */
+function getIdleDeck() {
+  return deckElements[1 - activeDeckIndex];
+}
+
+/**
+ * Get both decks, for settings that apply to whichever is playing
+ * @returns {Array} Audio elements
+ */
+function getDeckElements() {
+  return deckElements;
+}
+
+/**
+ * Whether a deck has a preview loaded
+ * @param {HTMLAudioElement} deck - Audio element
+ * @param {string} url - Preview URL
+ * @returns {boolean} Whether it's loaded
+ */
+function hasPreview(deck, url) {
+  return deck.getAttribute('src') === url;
+}
+
+/**
+ * How long the change from a deck to the next one takes
+ * @param {HTMLAudioElement} deck - Outgoing deck
+ * @returns {number} Seconds of overlap
+ */
+function getFadeSeconds(deck) {
+  if (crossfadeSeconds === 0) return GAPLESS_FADE_SECONDS;
+
+  // Short previews never spend more than half their time fading
+  return deck.duration > 0 ? Math.min(crossfadeSeconds, deck.duration / 2) : crossfadeSeconds;
+}
+
+/**
+ * Load the next preview in the queue onto the idle deck
+ */
+function preloadUpcoming() {
+  // The idle deck is still busy fading out
+  if (fadeOutTimer || !upcomingPreviewProvider) return;
+
+  const url = upcomingPreviewProvider();
+  const deck = getIdleDeck();
+  if (url && !hasPreview(deck, url)) {
+    deck.preload = 'auto';
+    deck.src = url;
+  }
+}
+
+/**
+ * Stop the deck that's fading out, if one is
+ */
+function finishFadeOut() {
+  if (!fadeOutTimer) return;
+
+  clearTimeout(fadeOutTimer);
+  fadeOutTimer = null;
+  getIdleDeck().pause();
+}
+
+/**
+ * Call off a change to the next track that hasn't started yet
+ */
+function cancelTransition() {
+  clearTimeout(transitionTimer);
+  transitionTimer = null;
+  autoTransition = false;
+}
+
+/**
+ * Once the active deck is about to run out, time the move to the next track
+ * Only previews that come next in the queue take part; anything else waits
+ * for the track to end as usual.
+ * @param {HTMLAudioElement} deck - Active deck
+ */
+function scheduleTransition(deck) {
+  if (transitionTimer || !transitionHandler || !upcomingPreviewProvider || !(deck.duration > 0)) return;
+  if (!upcomingPreviewProvider()) return;
+
+  // Remaining time in real seconds, at whatever speed the platter turns
+  const remaining = (deck.duration - deck.currentTime) / (deck.playbackRate || 1);
+  const fade = getFadeSeconds(deck);
+  if (remaining > fade + TRANSITION_LOOKAHEAD_SECONDS) return;
+
+  transitionTimer = setTimeout(() => {
+    transitionTimer = null;
+    if (deck !== getActiveDeck() || deck.paused) return;
+
+    autoTransition = true;
+    transitionHandler();
+  }, Math.max(remaining - fade, 0) * 1000);
+}
+
+/**
+ * Play a preview on the other deck
+ * When the decks are moving on by themselves the outgoing track fades out
+ * under the new one; otherwise it stops straight away.
+ * @param {string} url - Preview URL
+ * @returns {Promise} Resolves once the preview plays
+ */
+function playPreview(url) {
+  const outgoing = getActiveDeck();
+  const fade = autoTransition && !outgoing.paused ? getFadeSeconds(outgoing) : 0;
+
+  cancelTransition();
+  finishFadeOut();
+
+  activeDeckIndex = 1 - activeDeckIndex;
+  const incoming = getActiveDeck();
+
+  if (hasPreview(incoming, url)) {
+    incoming.currentTime = 0;
+  } else {
+    incoming.src = url;
+  }
+
+  window.vinylEngine.fadeDeck(activeDeckIndex, 1, fade, fade > 0 ? 0 : undefined);
+
+  if (fade > 0) {
+    window.vinylEngine.fadeDeck(1 - activeDeckIndex, 0, fade);
+    fadeOutTimer = setTimeout(() => {
+      finishFadeOut();
+      preloadUpcoming();
+    }, fade * 1000);
+  } else {
+    outgoing.pause();
+  }
+
+  return incoming.play();
+}
+
+/**
+ * Pause the previews, cutting short any crossfade
+ */
+function pausePreviews() {
+  cancelTransition();
+  finishFadeOut();
+  getActiveDeck().pause();
+}
+
+/**
+ * Stop both decks
+ */
+function stopPreviews() {
+  cancelTransition();
+  finishFadeOut();
+  deckElements.forEach(deck => deck.pause());
+}
+
+/**
+ * Listen for an event from whichever deck is playing
+ * Events from the other deck (preloading, or fading out) are ignored.
+ * @param {string} type - Media event type
+ * @param {Function} handler - Called with the event
+ */
+function onActiveDeck(type, handler) {
+  deckElements.forEach(deck => {
+    deck.addEventListener(type, (event) => {
+      if (deck === getActiveDeck()) {
+        handler(event);
+      }
+    });
+  });
+}
+
+/**
+ * Set how to find the preview that plays next
+ * @param {Function} provider - Returns its URL, or null when the next track has none
+ */
+function setUpcoming(provider) {
+  upcomingPreviewProvider = provider;
+}
+
+/**
+ * Set who moves on to the next track when the active deck is about to run out
+ * @param {Function} handler - Called without arguments
+ */
+function onTransition(handler) {
+  transitionHandler = handler;
+}
+
+/**
+ * Change the crossfade length
+ * @param {number} seconds - 0 to 12
+ */
+function setCrossfade(seconds) {
+  crossfadeSeconds = seconds;
+  renderCrossfadeValue();
+
+  try {
+    localStorage.setItem(CROSSFADE_STORAGE_KEY, String(seconds));
+  } catch (error) {
+    console.warn('Could not save crossfade:', error);
+  }
+}
+
+// Set up event listeners
+onActiveDeck('timeupdate', (event) => {
+  if (event.target.paused) return;
+  preloadUpcoming();
+  scheduleTransition(event.target);
+});
+
+// A seek moves the end, so the timing is worked out again
+onActiveDeck('seeking', cancelTransition);
+
+crossfadeSlider.addEventListener('input', () => setCrossfade(Number(crossfadeSlider.value)));
+
+loadCrossfadeSettings();
+
+// Export functions to window
+window.previewDecks = {
+  active: getActiveDeck,
+  elements: getDeckElements,
+  play: playPreview,
+  pause: pausePreviews,
+  stop: stopPreviews,
+  onActiveDeck,
+  setUpcoming,
+  onTransition
+};
@@ -0,0 +1,385 @@
+/**
+ * Play Queue
+ * Keeps the order tracks will play in, with shuffle, repeat and manual
+ * queueing, and renders the queue panel beside the track list.
+ *
+ * The queue is one ordered list of entries. Entries from the loaded record are
+ * "context" entries; tracks added with "Play next" or "Add to queue" are
+ * "manual" entries, which are dropped once played and survive loading a new record.
+ */
+
+// Repeat modes, in the order the repeat button cycles through them
+const REPEAT_MODES = ['off', 'all', 'one'];
+
+// Queue state
+let queueEntries = [];
+let queuePosition = -1;
+let shuffleEnabled = false;
+let repeatMode = 'off';
+let nextQueueUid = 1;
+
+// DOM elements
+const queueList = document.getElementById('queueList');
+const shuffleBtn = document.getElementById('shuffleBtn');
+const repeatBtn = document.getElementById('repeatBtn');
+
+/**
+ * Create a queue entry
+ * @param {Object} track - Track object
+ * @param {Object} source - Record (album or album-shaped object) the track came from
+ * @param {number} sourceIndex - Index of the track on that record
+ * @param {boolean} manual - Whether the user queued it by hand
+ * @returns {Object} Queue entry
+ */
+function createQueueEntry(track, source, sourceIndex, manual) {
+  return { uid: nextQueueUid++, track, source, sourceIndex, manual };
+}
+
+/**
+ * Shuffle an array in place (Fisher-Yates)
+ * @param {Array} items - Items to shuffle
+ * @returns {Array} The same array
+ */
+function shuffleInPlace(items) {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+}
+
+/**
+ * Manual entries still waiting to play
+ * @returns {Array} Entries
+ */
+function upcomingManualEntries() {
+  return queueEntries.slice(queuePosition + 1).filter(entry => entry.manual);
+}
+
+/**
+ * Reorder the upcoming context entries for the current shuffle setting
+ * Manual entries always stay at the front of what's upcoming.
+ */
+function arrangeUpcoming() {
+  const played = queueEntries.slice(0, queuePosition + 1);
+  const upcoming = queueEntries.slice(queuePosition + 1);
+  const manual = upcoming.filter(entry => entry.manual);
+  const context = upcoming.filter(entry => !entry.manual);
+
+  if (shuffleEnabled) {
+    shuffleInPlace(context);
+  } else {
+    context.sort((a, b) => a.sourceIndex - b.sourceIndex);
+  }
+
+  queueEntries = [...played, ...manual, ...context];
+}
+
+/**
+ * Replace the context with a record's tracks
+ * Manually queued tracks are kept and play right after the starting track.
+ * @param {Array} tracks - Tracks of the record
+ * @param {Object} source - The record
+ * @param {number} [startIndex] - Track to start from, or -1 to not start yet
+ * @returns {Object|null} Entry at the start position
+ */
+function loadQueueContext(tracks, source, startIndex = -1) {
+  const manual = upcomingManualEntries();
+  const context = tracks.map((track, index) => createQueueEntry(track, source, index, false));
+
+  if (startIndex < 0) {
+    queueEntries = [...manual, ...context];
+    queuePosition = -1;
+  } else if (shuffleEnabled) {
+    // Shuffle draws from the whole record, not just what follows the start
+    const others = context.filter((entry, index) => index !== startIndex);
+    queueEntries = [context[startIndex], ...manual, ...others];
+    queuePosition = 0;
+  } else {
+    // Tracks before the start count as already played
+    queueEntries = [...context.slice(0, startIndex + 1), ...manual, ...context.slice(startIndex + 1)];
+    queuePosition = startIndex;
+  }
+
+  arrangeUpcoming();
+  renderQueue();
+  return currentQueueEntry();
+}
+
+/**
+ * Add a track after the other manually queued tracks
+ * @param {Object} track - Track object
+ * @param {Object} source - Record it came from
+ * @param {number} sourceIndex - Index on that record
+ */
+function enqueueTrack(track, source, sourceIndex) {
+  const insertAt = queuePosition + 1 + upcomingManualEntries().length;
+  queueEntries.splice(insertAt, 0, createQueueEntry(track, source, sourceIndex, true));
+  renderQueue();
+}
+
+/**
+ * Add a track to play straight after the current one
+ * @param {Object} track - Track object
+ * @param {Object} source - Record it came from
+ * @param {number} sourceIndex - Index on that record
+ */
+function playTrackNext(track, source, sourceIndex) {
+  queueEntries.splice(queuePosition + 1, 0, createQueueEntry(track, source, sourceIndex, true));
+  renderQueue();
+}
+
+/**
+ * Remove an upcoming entry
+ * @param {number} uid - Entry id
+ */
+function removeQueueEntry(uid) {
+  const index = queueEntries.findIndex(entry => entry.uid === uid);
+  if (index <= queuePosition) return;
+
+  queueEntries.splice(index, 1);
+  renderQueue();
+}
+
+/**
+ * Move an upcoming entry to a new position
+ * @param {number} uid - Entry id
+ * @param {number} targetUid - Entry to place it before, or null for the end
+ */
+function moveQueueEntry(uid, targetUid) {
+  const index = queueEntries.findIndex(entry => entry.uid === uid);
+  if (index <= queuePosition || uid === targetUid) return;
+
+  const [entry] = queueEntries.splice(index, 1);
+  const targetIndex = targetUid === null
+    ? queueEntries.length
+    : queueEntries.findIndex(item => item.uid === targetUid);
+
+  queueEntries.splice(Math.max(targetIndex, queuePosition + 1), 0, entry);
+  renderQueue();
+}
+
+/**
+ * Drop manual entries that have already played
+ */
+function dropPlayedManualEntries() {
+  const played = queueEntries.slice(0, queuePosition + 1);
+  const kept = played.filter((entry, index) => !entry.manual || index === queuePosition);
+  queuePosition -= played.length - kept.length;
+  queueEntries = [...kept, ...queueEntries.slice(played.length)];
+}
+
+/**
+ * Advance to the next entry
+ * @param {Object} [options] - auto: true when a track finished on its own
+ * @returns {Object|null} Entry to play, or null at the end of the queue
+ */
+function advanceQueue({ auto = false } = {}) {
+  if (auto && repeatMode === 'one' && currentQueueEntry()) {
+    return currentQueueEntry();
+  }
+
+  dropPlayedManualEntries();
+
+  if (queuePosition + 1 < queueEntries.length) {
+    queuePosition++;
+  } else if (repeatMode === 'all' && queueEntries.some(entry => !entry.manual)) {
+    // Start the record over, reshuffled if shuffle is on
+    queueEntries = queueEntries.filter(entry => !entry.manual);
+    queuePosition = -1;
+    arrangeUpcoming();
+    queuePosition = 0;
+  } else {
+    renderQueue();
+    return null;
+  }
+
+  renderQueue();
+  return currentQueueEntry();
+}
+
+/**
+ * Look at the entry that plays when the current one finishes, without moving to it
+ * @returns {Object|null} Entry, or null at the end of the queue or when it isn't known yet
+ */
+function peekNextEntry() {
+  if (repeatMode === 'one' && currentQueueEntry()) {
+    return currentQueueEntry();
+  }
+
+  // Played manual entries all sit before the position, so dropping them doesn't change what's next
+  if (queuePosition + 1 < queueEntries.length) {
+    return queueEntries[queuePosition + 1];
+  }
+
+  // Repeat all starts the record over; reshuffled, its first track isn't picked yet
+  if (repeatMode === 'all' && !shuffleEnabled) {
+    const context = queueEntries.filter(entry => !entry.manual);
+    return context.sort((a, b) => a.sourceIndex - b.sourceIndex)[0] || null;
+  }
+
+  return null;
+}
+
+/**
+ * Step back to the previous entry
+ * @returns {Object|null} Entry to play
+ */
+function rewindQueue() {
+  if (queuePosition <= 0) {
+    return currentQueueEntry();
+  }
+
+  queuePosition--;
+  renderQueue();
+  return currentQueueEntry();
+}
+
+/**
+ * Make an entry current
+ * @param {number} uid - Entry id
+ * @returns {Object|null} The entry
+ */
+function jumpToQueueEntry(uid) {
+  const index = queueEntries.findIndex(entry => entry.uid === uid);
+  if (index < 0) return null;
+
+  queuePosition = index;
+  renderQueue();
+  return currentQueueEntry();
+}
+
+/**
+ * Get the entry that is playing (or was last played)
+ * @returns {Object|null} Entry
+ */
+function currentQueueEntry() {
+  return queueEntries[queuePosition] || null;
+}
+
+/**
+ * Toggle shuffle for the upcoming tracks
+ * @returns {boolean} New shuffle state
+ */
+function toggleShuffle() {
+  shuffleEnabled = !shuffleEnabled;
+  arrangeUpcoming();
+  renderQueue();
+  return shuffleEnabled;
+}
+
+/**
+ * Cycle repeat mode: off -> all -> one
+ * @returns {string} New repeat mode
+ */
+function cycleRepeat() {
+  repeatMode = REPEAT_MODES[(REPEAT_MODES.indexOf(repeatMode) + 1) % REPEAT_MODES.length];
+  renderQueue();
+  return repeatMode;
+}
+
+/**
+ * Render the queue panel
+ */
+function renderQueue() {
+  shuffleBtn.classList.toggle('active', shuffleEnabled);
+  shuffleBtn.title = shuffleEnabled ? 'Shuffle on' : 'Shuffle off';
+  repeatBtn.classList.toggle('active', repeatMode !== 'off');
+  repeatBtn.dataset.mode = repeatMode;
+  repeatBtn.title = `Repeat ${repeatMode}`;
+
+  queueList.innerHTML = '';
+
+  const visible = queueEntries.slice(Math.max(queuePosition, 0));
+
+  if (visible.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'queue-empty';
+    empty.textContent = 'Queue is empty';
+    queueList.appendChild(empty);
+    return;
+  }
+
+  visible.forEach(entry => {
+    const isCurrent = entry === currentQueueEntry();
+    const item = document.createElement('div');
+    item.className = 'queue-entry';
+    item.classList.toggle('current', isCurrent);
+    item.classList.toggle('manual', entry.manual);
+
+    const title = document.createElement('span');
+    title.className = 'queue-entry-title';
+    const artists = entry.track.artists ? entry.track.artists.map(artist => artist.name).join(', ') : '';
+    title.textContent = artists ? `${entry.track.name} - ${artists}` : entry.track.name;
+    item.appendChild(title);
+
+    if (!isCurrent) {
+      // Drag to reorder
+      item.draggable = true;
+      item.addEventListener('dragstart', (event) => {
+        event.dataTransfer.setData('text/plain', String(entry.uid));
+        event.dataTransfer.effectAllowed = 'move';
+        item.classList.add('dragging');
+      });
+      item.addEventListener('dragend', () => item.classList.remove('dragging'));
+      item.addEventListener('dragover', (event) => {
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'move';
+      });
+      item.addEventListener('drop', (event) => {
+        event.preventDefault();
+        moveQueueEntry(Number(event.dataTransfer.getData('text/plain')), entry.uid);
+      });
+
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'queue-remove';
+      removeBtn.title = 'Remove from queue';
+      removeBtn.textContent = '✕';
+      removeBtn.addEventListener('click', (event) => {
+        event.stopPropagation();
+        removeQueueEntry(entry.uid);
+      });
+      item.appendChild(removeBtn);
+
+      // Click to jump straight to this track
+      item.addEventListener('click', () => {
+        const target = jumpToQueueEntry(entry.uid);
+        if (target && window.playQueueEntry) {
+          window.playQueueEntry(target);
+        }
+      });
+    }
+
+    queueList.appendChild(item);
+  });
+}
+
+// Dropping below the last entry moves the dragged entry to the end
+queueList.addEventListener('dragover', (event) => event.preventDefault());
+queueList.addEventListener('drop', (event) => {
+  if (event.target === queueList) {
+    event.preventDefault();
+    moveQueueEntry(Number(event.dataTransfer.getData('text/plain')), null);
+  }
+});
+
+shuffleBtn.addEventListener('click', toggleShuffle);
+repeatBtn.addEventListener('click', cycleRepeat);
+
+renderQueue();
+
+// Export functions to window
+window.playQueue = {
+  loadContext: loadQueueContext,
+  enqueue: enqueueTrack,
+  playNext: playTrackNext,
+  remove: removeQueueEntry,
+  move: moveQueueEntry,
+  next: advanceQueue,
+  peekNext: peekNextEntry,
+  previous: rewindQueue,
+  jumpTo: jumpToQueueEntry,
+  current: currentQueueEntry,
+  toggleShuffle,
+  cycleRepeat
+};
@@ -0,0 +1,199 @@
+/**
+ * Record Sides
+ * Optional mode that plays a record one side at a time. Each disc of a set is
+ * its own record, split into sides A and B with about the same running time
+ * on each (1A/1B, 2A/2B... for multi-disc sets). Playback stops at the end of
+ * a side until the record is flipped.
+ */
+
+const SIDES_STORAGE_KEY = 'vinylPlayer.sides';
+
+// Matches the flip animation in the stylesheet
+const FLIP_MS = 800;
+
+// DOM elements
+const sidesToggle = document.getElementById('sidesToggle');
+const sideLabel = document.getElementById('sideLabel');
+const flipRecordBtn = document.getElementById('flipRecordBtn');
+
+// Whether side mode is on
+let sidesEnabled = false;
+
+// Record split into sides: { label, tracks, indexes } with indexes into the whole record
+let sidesAlbum = null;
+let loadedSides = [];
+let sideIndex = 0;
+let flipInProgress = false;
+
+// Called with the new side once the record has been flipped
+let sideFlipHandler = null;
+
+/**
+ * Find where to split a disc so both sides run about as long
+ * @param {Array} tracks - Tracks of the disc
+ * @returns {number} Number of tracks on side A
+ */
+function findBalancedSplit(tracks) {
+  const total = tracks.reduce((sum, track) => sum + (track.duration_ms || 0), 0);
+  let best = 1;
+  let bestDifference = Infinity;
+  let sideA = 0;
+
+  for (let count = 1; count < tracks.length; count++) {
+    sideA += tracks[count - 1].duration_ms || 0;
+    const difference = Math.abs(total - 2 * sideA);
+    if (difference <= bestDifference) {
+      best = count;
+      bestDifference = difference;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Split a record's tracks into sides
+ * @param {Array} tracks - Tracks of the record
+ * @returns {Array} Sides in playing order
+ */
+function splitIntoSides(tracks) {
+  // Group by disc, keeping the record's order; tracks without a disc number are on disc 1
+  const discs = new Map();
+  tracks.forEach((track, index) => {
+    const disc = track.disc_number || 1;
+    if (!discs.has(disc)) discs.set(disc, []);
+    discs.get(disc).push(index);
+  });
+
+  const multiDisc = discs.size > 1;
+  const sides = [];
+
+  discs.forEach((indexes, disc) => {
+    const prefix = multiDisc ? String(disc) : '';
+    const split = indexes.length > 1 ? findBalancedSplit(indexes.map(index => tracks[index])) : indexes.length;
+
+    [indexes.slice(0, split), indexes.slice(split)].forEach((sideIndexes, i) => {
+      if (sideIndexes.length === 0) return;
+      sides.push({
+        label: `${prefix}${i === 0 ? 'A' : 'B'}`,
+        tracks: sideIndexes.map(index => tracks[index]),
+        indexes: sideIndexes
+      });
+    });
+  });
+
+  return sides;
+}
+
+/**
+ * Split a newly loaded record into sides, starting on the side with a given track
+ * @param {Object} album - Album or album-shaped record
+ * @param {number} startIndex - Index of the track to start from
+ * @returns {Object|null} The side to put on, or null when side mode is off
+ */
+function splitRecord(album, startIndex) {
+  sidesAlbum = album;
+  loadedSides = sidesEnabled ? splitIntoSides(album.tracks.items) : [];
+  sideIndex = Math.max(loadedSides.findIndex(side => side.indexes.includes(startIndex)), 0);
+
+  renderSideControls();
+  return loadedSides[sideIndex] || null;
+}
+
+/**
+ * Get the side that's on the turntable
+ * @returns {Object|null} Side, or null when side mode is off
+ */
+function currentSide() {
+  return loadedSides[sideIndex] || null;
+}
+
+/**
+ * Point out the flip button once a side has played through
+ */
+function endOfSide() {
+  const side = currentSide();
+  if (!side) return;
+
+  flipRecordBtn.classList.add('ready');
+  window.showNotification(`End of side ${side.label} - flip the record to keep listening`);
+}
+
+/**
+ * Flip the record over (or put on the next disc) and play the new side
+ */
+function flipRecord() {
+  if (loadedSides.length === 0 || flipInProgress) return;
+
+  flipInProgress = true;
+  window.stopPlayback();
+  sideIndex = (sideIndex + 1) % loadedSides.length;
+
+  const vinyl = document.getElementById('vinyl');
+  vinyl.classList.add('flipping');
+
+  setTimeout(() => {
+    vinyl.classList.remove('flipping');
+    flipInProgress = false;
+    renderSideControls();
+
+    if (sideFlipHandler) {
+      sideFlipHandler(currentSide());
+    }
+  }, FLIP_MS);
+}
+
+/**
+ * Show the side label and flip button for the current record
+ */
+function renderSideControls() {
+  const side = currentSide();
+
+  sidesToggle.checked = sidesEnabled;
+  flipRecordBtn.classList.remove('ready');
+  flipRecordBtn.style.display = side && loadedSides.length > 1 ? 'inline-block' : 'none';
+  sideLabel.textContent = side ? `Side ${side.label}` : '';
+}
+
+/**
+ * Set who plays the new side after a flip
+ * @param {Function} handler - Called with the side
+ */
+function onSideFlip(handler) {
+  sideFlipHandler = handler;
+}
+
+/**
+ * Turn side mode on or off; a loaded record goes back on from the start
+ * @param {boolean} enabled - Whether to play by side
+ */
+function setSidesEnabled(enabled) {
+  sidesEnabled = enabled;
+
+  try {
+    localStorage.setItem(SIDES_STORAGE_KEY, String(enabled));
+  } catch (error) {
+    console.warn('Could not save side mode:', error);
+  }
+
+  if (sidesAlbum) {
+    window.loadRecord(sidesAlbum);
+  } else {
+    renderSideControls();
+  }
+}
+
+// Set up event listeners
+sidesToggle.addEventListener('change', () => setSidesEnabled(sidesToggle.checked));
+flipRecordBtn.addEventListener('click', flipRecord);
+
+sidesEnabled = localStorage.getItem(SIDES_STORAGE_KEY) === 'true';
+renderSideControls();
+
+// Export functions to window
+window.recordSides = {
+  splitRecord,
+  currentSide,
+  endOfSide,
+  onSideFlip
+};
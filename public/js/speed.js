@@ -0,0 +1,86 @@
+/**
+ * Turntable Speed
+ * The 33/45/78 RPM switch. Every record is treated as cut at 33⅓, so other
+ * speeds spin the platter faster and play previews (and the vinyl crackle)
+ * faster and higher, unless "keep pitch" is on. The platter (platter.js)
+ * ramps to the selected speed and applies it.
+ */
+
+// Speed records are cut at
+const RECORD_RPM = 100 / 3;
+
+// DOM elements
+const rpmButtons = document.querySelectorAll('.rpm-button');
+const keepPitchToggle = document.getElementById('keepPitchToggle');
+
+// Selected speed
+let turntableRpm = RECORD_RPM;
+
+// Called with the new playback rate whenever the speed changes
+let speedChangeHandler = null;
+
+/**
+ * Get how fast audio should play at the selected speed
+ * @returns {number} Playback rate, 1 at 33⅓
+ */
+function getPlaybackRate() {
+  return turntableRpm / RECORD_RPM;
+}
+
+/**
+ * Whether previews should keep their pitch at other speeds
+ * @returns {boolean} Keep pitch setting
+ */
+function keepsPitch() {
+  return keepPitchToggle.checked;
+}
+
+/**
+ * Show the selected speed and tell the rest of the app about it
+ */
+function applySpeed() {
+  const rate = getPlaybackRate();
+
+  rpmButtons.forEach(button => {
+    const selected = Number(button.dataset.rpm) === Math.round(turntableRpm);
+    button.classList.toggle('active', selected);
+    button.setAttribute('aria-pressed', String(selected));
+  });
+
+  if (speedChangeHandler) {
+    speedChangeHandler(rate);
+  }
+}
+
+/**
+ * Switch the turntable speed
+ * @param {number} rpm - 33, 45 or 78 (33 meaning 33⅓)
+ */
+function setRpm(rpm) {
+  turntableRpm = rpm === 33 ? RECORD_RPM : rpm;
+  applySpeed();
+}
+
+/**
+ * Set who reacts to speed changes outside this module
+ * @param {Function} handler - Called with the new playback rate
+ */
+function onSpeedChange(handler) {
+  speedChangeHandler = handler;
+}
+
+// Set up event listeners
+rpmButtons.forEach(button => {
+  button.addEventListener('click', () => setRpm(Number(button.dataset.rpm)));
+});
+keepPitchToggle.addEventListener('change', applySpeed);
+
+applySpeed();
+
+// Export functions to window
+window.turntableSpeed = {
+  getPlaybackRate,
+  keepsPitch,
+  setRpm,
+  onSpeedChange
+};
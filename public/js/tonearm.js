@@ -0,0 +1,230 @@
+/**
+ * Tonearm
+ * Moves the tonearm across the record as the track plays, shows elapsed and
+ * remaining time, and lets the arm be dragged (or arrow-keyed) to seek.
+ * The cue lever lifts the arm before it swings and lowers it onto the groove.
+ */
+
+// Arm angle at the first and last groove; the arm swings inwards as the track plays
+const TONEARM_START_DEG = 10;
+const TONEARM_END_DEG = -12;
+
+// Arrow keys move the arm by this much
+const TONEARM_KEY_STEP_MS = 5000;
+
+// Matches the arm's swing transition in the stylesheet
+const TONEARM_SWING_MS = 500;
+
+// DOM elements
+const tonearmElement = document.getElementById('tonearm');
+const playbackProgress = document.getElementById('playbackProgress');
+const elapsedTime = document.getElementById('elapsedTime');
+const remainingTime = document.getElementById('remainingTime');
+
+// Last reported position, and whether the user is holding the arm
+let tonearmPositionMs = 0;
+let tonearmDurationMs = 0;
+let tonearmDragging = false;
+
+// Called with a position in ms when the user drops the arm somewhere
+let seekHandler = null;
+
+// Pending cue-lever move, so a newer one replaces it
+let cueTimer = null;
+
+/**
+ * Format milliseconds as M:SS, counting 0 as "0:00"
+ * @param {number} ms - Milliseconds
+ * @returns {string} Clock string
+ */
+function formatClock(ms) {
+  const totalSeconds = Math.max(Math.floor(ms / 1000), 0);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${seconds < 10 ? '0' : ''}${seconds}`;
+}
+
+/**
+ * Point the arm and readout at a position
+ * @param {number} positionMs - Position in the track
+ */
+function renderTonearm(positionMs) {
+  const fraction = tonearmDurationMs > 0 ? Math.min(Math.max(positionMs / tonearmDurationMs, 0), 1) : 0;
+  const angle = TONEARM_START_DEG - fraction * (TONEARM_START_DEG - TONEARM_END_DEG);
+
+  // Only used while the arm is down (.playing); at rest the stylesheet angle applies
+  tonearmElement.style.setProperty('--tonearm-angle', `${angle}deg`);
+  tonearmElement.setAttribute('aria-valuenow', String(Math.round(positionMs / 1000)));
+  tonearmElement.setAttribute('aria-valuetext', `${formatClock(positionMs)} of ${formatClock(tonearmDurationMs)}`);
+
+  elapsedTime.textContent = formatClock(positionMs);
+  remainingTime.textContent = `-${formatClock(tonearmDurationMs - positionMs)}`;
+}
+
+/**
+ * Report the playback position of whatever is playing
+ * @param {number} positionMs - Position in the track
+ * @param {number} durationMs - Length of what's playing
+ */
+function setProgress(positionMs, durationMs) {
+  if (!(durationMs > 0)) return;
+
+  tonearmPositionMs = positionMs;
+  tonearmDurationMs = durationMs;
+  tonearmElement.setAttribute('aria-valuemax', String(Math.round(durationMs / 1000)));
+  playbackProgress.style.display = 'flex';
+
+  // Don't pull the arm out of the user's hand
+  if (!tonearmDragging) {
+    renderTonearm(positionMs);
+  }
+}
+
+/**
+ * Cue the arm down onto the record
+ * From the rest it lifts, swings over the record and then lowers.
+ */
+function lowerArm() {
+  clearTimeout(cueTimer);
+
+  if (tonearmElement.classList.contains('playing')) {
+    tonearmElement.classList.remove('lifted');
+    return;
+  }
+
+  tonearmElement.classList.add('lifted', 'playing');
+  cueTimer = setTimeout(() => tonearmElement.classList.remove('lifted'), TONEARM_SWING_MS);
+}
+
+/**
+ * Lift the arm off the record where it is, as when pausing
+ */
+function liftArm() {
+  clearTimeout(cueTimer);
+  tonearmElement.classList.add('lifted');
+}
+
+/**
+ * Lift the arm back to its rest and hide the readout
+ */
+function resetTonearm() {
+  tonearmPositionMs = 0;
+  tonearmDurationMs = 0;
+  tonearmDragging = false;
+  tonearmElement.classList.remove('dragging');
+  tonearmElement.style.removeProperty('--tonearm-angle');
+  playbackProgress.style.display = 'none';
+
+  // Lift, swing back to the rest and set it down there
+  clearTimeout(cueTimer);
+  if (tonearmElement.classList.contains('playing')) {
+    tonearmElement.classList.add('lifted');
+    tonearmElement.classList.remove('playing');
+    cueTimer = setTimeout(() => tonearmElement.classList.remove('lifted'), TONEARM_SWING_MS);
+  }
+}
+
+/**
+ * Set who performs seeks
+ * @param {Function} handler - Called with the position to seek to, in ms
+ */
+function onSeek(handler) {
+  seekHandler = handler;
+}
+
+/**
+ * Work out the track position under the pointer from the arm's angle around its pivot
+ * @param {PointerEvent} event - Pointer event
+ * @returns {number} Position in ms
+ */
+function positionFromPointer(event) {
+  // Offsets ignore the rotation, so they give the pivot (the arm's right end) reliably
+  const playerRect = tonearmElement.offsetParent.getBoundingClientRect();
+  const pivotX = playerRect.left + tonearmElement.offsetLeft + tonearmElement.offsetWidth;
+  const pivotY = playerRect.top + tonearmElement.offsetTop + tonearmElement.offsetHeight / 2;
+
+  // The arm points left from the pivot, so a pointer straight left is 0 degrees
+  const angle = Math.atan2(pivotY - event.clientY, pivotX - event.clientX) * 180 / Math.PI;
+  const fraction = (TONEARM_START_DEG - angle) / (TONEARM_START_DEG - TONEARM_END_DEG);
+
+  return Math.min(Math.max(fraction, 0), 1) * tonearmDurationMs;
+}
+
+/**
+ * Whether there's something playing that can be sought
+ * @returns {boolean} Whether seeking is possible
+ */
+function canSeek() {
+  return Boolean(seekHandler) && tonearmDurationMs > 0 && tonearmElement.classList.contains('playing');
+}
+
+/**
+ * Ask the player to seek and move the arm there straight away
+ * @param {number} positionMs - Position to seek to
+ */
+function seekTo(positionMs) {
+  const target = Math.min(Math.max(positionMs, 0), tonearmDurationMs);
+  tonearmPositionMs = target;
+  renderTonearm(target);
+  seekHandler(target);
+}
+
+// Drag the arm to seek
+tonearmElement.addEventListener('pointerdown', (event) => {
+  if (!canSeek()) return;
+
+  event.preventDefault();
+  tonearmDragging = true;
+  tonearmElement.classList.add('dragging');
+  tonearmElement.setPointerCapture(event.pointerId);
+  renderTonearm(positionFromPointer(event));
+});
+
+tonearmElement.addEventListener('pointermove', (event) => {
+  if (tonearmDragging) {
+    renderTonearm(positionFromPointer(event));
+  }
+});
+
+tonearmElement.addEventListener('pointerup', (event) => {
+  if (!tonearmDragging) return;
+
+  tonearmDragging = false;
+  tonearmElement.classList.remove('dragging');
+  seekTo(positionFromPointer(event));
+});
+
+tonearmElement.addEventListener('pointercancel', () => {
+  tonearmDragging = false;
+  tonearmElement.classList.remove('dragging');
+  renderTonearm(tonearmPositionMs);
+});
+
+// Arrow keys nudge the arm when it has focus
+tonearmElement.addEventListener('keydown', (event) => {
+  if (!canSeek()) return;
+
+  const steps = {
+    ArrowLeft: -TONEARM_KEY_STEP_MS,
+    ArrowDown: -TONEARM_KEY_STEP_MS,
+    ArrowRight: TONEARM_KEY_STEP_MS,
+    ArrowUp: TONEARM_KEY_STEP_MS
+  };
+
+  if (event.key in steps) {
+    event.preventDefault();
+    seekTo(tonearmPositionMs + steps[event.key]);
+  } else if (event.key === 'Home') {
+    event.preventDefault();
+    seekTo(0);
+  }
+});
+
+// Export functions to window
+window.tonearmControl = {
+  setProgress,
+  lowerArm,
+  liftArm,
+  resetTonearm,
+  onSeek
+};
@@ -0,0 +1,429 @@
+/**
+ * Vinyl Sound Engine
+ * Routes the preview audio through Web Audio and layers surface noise,
+ * crackle, rumble and hum over it, with wow and flutter bending the pitch.
+ * Each preview deck comes in through its own gain, which crossfades them.
+ * Full tracks from the Web Playback SDK can't be routed through Web Audio,
+ * so they play clean.
+ */
+
+const SOUND_STORAGE_KEY = 'vinylPlayer.sound';
+
+// Each setting runs from 0 (none) to 1 (as worn as it gets)
+const VINYL_PRESETS = {
+  mint: { surfaceNoise: 0.1, crackle: 0.05, rumble: 0.05, wowFlutter: 0.05 },
+  'well-loved': { surfaceNoise: 0.35, crackle: 0.35, rumble: 0.2, wowFlutter: 0.25 },
+  'thrift-store': { surfaceNoise: 0.7, crackle: 0.8, rumble: 0.45, wowFlutter: 0.6 }
+};
+const DEFAULT_PRESET = 'well-loved';
+
+// Length of the generated noise loops
+const LAYER_SECONDS = 4;
+
+// Crackles per second at full density
+const MAX_CRACKLES_PER_SECOND = 40;
+
+// Wow is a slow pitch drift and flutter a fast waver, both made by swinging a
+// short delay; depths are the delay swing in seconds at full setting
+const BASE_DELAY_SECONDS = 0.01;
+const WOW_HZ = 0.55;
+const WOW_DEPTH_SECONDS = 0.0015;
+const FLUTTER_HZ = 6.5;
+const FLUTTER_DEPTH_SECONDS = 0.00008;
+
+// Mains hum under the rumble
+const HUM_HZ = 60;
+
+// Time constant of gain changes, short enough to feel instant without clicking
+const SOUND_RAMP_SECONDS = 0.05;
+
+// DOM elements
+const soundPresetSelect = document.getElementById('soundPresetSelect');
+const soundSliders = document.querySelectorAll('.sound-slider');
+const soundBypassToggle = document.getElementById('soundBypassToggle');
+
+// Sound settings
+let soundPreset = DEFAULT_PRESET;
+let soundSettings = { ...VINYL_PRESETS[DEFAULT_PRESET] };
+let soundBypassed = false;
+
+// Web Audio graph, built the first time a preview plays
+let engine = null;
+
+// Whether a preview is playing, so the surface layers should be heard
+let surfaceActive = false;
+
+/**
+ * Read the saved sound settings, if any
+ */
+function loadSoundSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SOUND_STORAGE_KEY));
+    if (saved && saved.settings) {
+      soundPreset = saved.preset in VINYL_PRESETS ? saved.preset : 'custom';
+      Object.keys(soundSettings).forEach(key => {
+        if (typeof saved.settings[key] === 'number') {
+          soundSettings[key] = Math.min(Math.max(saved.settings[key], 0), 1);
+        }
+      });
+      soundBypassed = Boolean(saved.bypassed);
+    }
+  } catch (error) {
+    console.warn('Ignoring unreadable sound settings:', error);
+  }
+}
+
+/**
+ * Remember the sound settings for the next visit
+ */
+function saveSoundSettings() {
+  try {
+    localStorage.setItem(SOUND_STORAGE_KEY, JSON.stringify({
+      preset: soundPreset,
+      settings: soundSettings,
+      bypassed: soundBypassed
+    }));
+  } catch (error) {
+    console.warn('Could not save sound settings:', error);
+  }
+}
+
+/**
+ * Create a buffer of lowpassed-sounding noise for the surface and rumble loops
+ * @param {AudioContext} context - Audio context
+ * @returns {AudioBuffer} Noise buffer
+ */
+function createNoiseBuffer(context) {
+  const length = context.sampleRate * LAYER_SECONDS;
+  const buffer = context.createBuffer(1, length, context.sampleRate);
+  const data = buffer.getChannelData(0);
+
+  // Averaging white noise with the previous sample takes the hiss off the top
+  let previous = 0;
+  for (let i = 0; i < length; i++) {
+    previous = (previous + (Math.random() * 2 - 1)) / 2;
+    data[i] = previous;
+  }
+
+  return buffer;
+}
+
+/**
+ * Create a buffer of crackles: short decaying bursts at random times
+ * @param {AudioContext} context - Audio context
+ * @param {number} density - 0 to 1
+ * @returns {AudioBuffer} Crackle buffer
+ */
+function createCrackleBuffer(context, density) {
+  const length = context.sampleRate * LAYER_SECONDS;
+  const buffer = context.createBuffer(1, length, context.sampleRate);
+  const data = buffer.getChannelData(0);
+  const crackles = Math.round(density * MAX_CRACKLES_PER_SECOND * LAYER_SECONDS);
+
+  for (let c = 0; c < crackles; c++) {
+    const start = Math.floor(Math.random() * length);
+    // Mostly faint ticks, now and then a proper pop
+    const amplitude = Math.random() > 0.95 ? 0.6 + Math.random() * 0.4 : 0.05 + Math.random() * 0.25;
+    const decay = context.sampleRate * (0.0003 + Math.random() * 0.0015);
+
+    for (let k = 0; k < decay * 5 && start + k < length; k++) {
+      data[start + k] += amplitude * (Math.random() * 2 - 1) * Math.exp(-k / decay);
+    }
+  }
+
+  return buffer;
+}
+
+/**
+ * Start a looping buffer source
+ * @param {AudioContext} context - Audio context
+ * @param {AudioBuffer} buffer - Buffer to loop
+ * @param {AudioNode} destination - Where it plays into
+ * @returns {AudioBufferSourceNode} The running source
+ */
+function startLoop(context, buffer, destination) {
+  const source = context.createBufferSource();
+  source.buffer = buffer;
+  source.loop = true;
+  source.playbackRate.value = window.turntableSpeed.getPlaybackRate();
+  source.connect(destination);
+  source.start();
+  return source;
+}
+
+/**
+ * Create a sine LFO whose swing is set by the returned gain node
+ * @param {AudioContext} context - Audio context
+ * @param {number} frequency - LFO rate in Hz
+ * @param {AudioParam} target - Parameter to modulate
+ * @returns {GainNode} Depth control
+ */
+function createLfo(context, frequency, target) {
+  const oscillator = context.createOscillator();
+  oscillator.frequency.value = frequency;
+
+  const depth = context.createGain();
+  depth.gain.value = 0;
+
+  oscillator.connect(depth).connect(target);
+  oscillator.start();
+  return depth;
+}
+
+/**
+ * Build the Web Audio graph around the preview decks
+ * Once built, the decks are only heard through the graph.
+ * @returns {Object} The engine's nodes
+ */
+function buildEngine() {
+  if (engine) return engine;
+
+  const context = new (window.AudioContext || window.webkitAudioContext)();
+
+  // Both decks mix into the music, each through a gain of its own
+  const music = context.createGain();
+  const deckGains = window.previewDecks.elements().map(element => {
+    const deckGain = context.createGain();
+    context.createMediaElementSource(element).connect(deckGain).connect(music);
+    return deckGain;
+  });
+
+  // Bypass route straight through
+  const dry = context.createGain();
+  dry.gain.value = soundBypassed ? 1 : 0;
+  music.connect(dry).connect(context.destination);
+
+  // Processed route: a short delay swung by the wow and flutter LFOs bends the pitch
+  const wowDelay = context.createDelay(0.05);
+  wowDelay.delayTime.value = BASE_DELAY_SECONDS;
+  const wet = context.createGain();
+  wet.gain.value = soundBypassed ? 0 : 1;
+  music.connect(wowDelay).connect(wet).connect(context.destination);
+
+  // Everything layered over the music goes through here: silent while paused, scaled by the volume knob
+  const layerBus = context.createGain();
+  layerBus.gain.value = 0;
+  layerBus.connect(context.destination);
+
+  const noiseBuffer = createNoiseBuffer(context);
+
+  // Surface noise: the noise loop with the low end taken out
+  const surfaceFilter = context.createBiquadFilter();
+  surfaceFilter.type = 'highpass';
+  surfaceFilter.frequency.value = 500;
+  const surfaceGain = context.createGain();
+  surfaceFilter.connect(surfaceGain).connect(layerBus);
+
+  // Crackle, rebuilt whenever its density changes
+  const crackleGain = context.createGain();
+  crackleGain.connect(layerBus);
+
+  // Rumble: the same noise with only the low end left, plus mains hum
+  const rumbleFilter = context.createBiquadFilter();
+  rumbleFilter.type = 'lowpass';
+  rumbleFilter.frequency.value = 40;
+  const rumbleGain = context.createGain();
+  rumbleFilter.connect(rumbleGain).connect(layerBus);
+
+  const hum = context.createOscillator();
+  hum.frequency.value = HUM_HZ;
+  const humLevel = context.createGain();
+  humLevel.gain.value = 0.05;
+  hum.connect(humLevel).connect(rumbleGain);
+  hum.start();
+
+  engine = {
+    context,
+    deckGains,
+    dry,
+    wet,
+    layerBus,
+    surfaceGain,
+    crackleGain,
+    rumbleGain,
+    wowDepth: createLfo(context, WOW_HZ, wowDelay.delayTime),
+    flutterDepth: createLfo(context, FLUTTER_HZ, wowDelay.delayTime),
+    loops: [startLoop(context, noiseBuffer, surfaceFilter), startLoop(context, noiseBuffer, rumbleFilter)],
+    crackleSource: null,
+    crackleDensity: null
+  };
+
+  applySoundSettings();
+  return engine;
+}
+
+/**
+ * Move an audio parameter smoothly to a value
+ * @param {AudioParam} param - Parameter
+ * @param {number} value - Target value
+ */
+function rampTo(param, value) {
+  param.setTargetAtTime(value, engine.context.currentTime, SOUND_RAMP_SECONDS);
+}
+
+/**
+ * Fade a preview deck in or out
+ * @param {number} index - Deck number
+ * @param {number} value - Gain to end on
+ * @param {number} seconds - Length of the fade; 0 jumps straight there
+ * @param {number} [from] - Gain to start from, instead of where it is now
+ */
+function fadeDeck(index, value, seconds, from) {
+  if (!engine) return;
+
+  const gain = engine.deckGains[index].gain;
+  const now = engine.context.currentTime;
+
+  gain.cancelScheduledValues(now);
+  gain.setValueAtTime(from === undefined ? gain.value : from, now);
+  if (seconds > 0) {
+    gain.linearRampToValueAtTime(value, now + seconds);
+  } else {
+    gain.setValueAtTime(value, now);
+  }
+}
+
+/**
+ * Replace the crackle loop when its density has changed
+ */
+function updateCrackle() {
+  if (engine.crackleDensity === soundSettings.crackle) return;
+
+  if (engine.crackleSource) {
+    engine.crackleSource.stop();
+  }
+
+  engine.crackleDensity = soundSettings.crackle;
+  engine.crackleSource = startLoop(engine.context, createCrackleBuffer(engine.context, soundSettings.crackle), engine.crackleGain);
+}
+
+/**
+ * Push the settings, bypass, volume and play state into the graph
+ */
+function applySoundSettings() {
+  if (!engine) return;
+
+  const layers = surfaceActive && !soundBypassed ? window.volumeControl.getVolume() : 0;
+
+  rampTo(engine.dry.gain, soundBypassed ? 1 : 0);
+  rampTo(engine.wet.gain, soundBypassed ? 0 : 1);
+  rampTo(engine.layerBus.gain, layers);
+  rampTo(engine.surfaceGain.gain, soundSettings.surfaceNoise * 0.1);
+  rampTo(engine.crackleGain.gain, soundSettings.crackle > 0 ? 1 : 0);
+  rampTo(engine.rumbleGain.gain, soundSettings.rumble * 0.6);
+  rampTo(engine.wowDepth.gain, soundSettings.wowFlutter * WOW_DEPTH_SECONDS);
+  rampTo(engine.flutterDepth.gain, soundSettings.wowFlutter * FLUTTER_DEPTH_SECONDS);
+
+  updateCrackle();
+}
+
+/**
+ * Show the settings on the sound panel
+ */
+function renderSoundPanel() {
+  soundPresetSelect.value = soundPreset;
+  soundSliders.forEach(slider => {
+    slider.value = soundSettings[slider.dataset.setting];
+  });
+  soundBypassToggle.checked = soundBypassed;
+}
+
+/**
+ * Switch to a preset
+ * @param {string} name - Preset name; "custom" keeps the current settings
+ */
+function selectPreset(name) {
+  soundPreset = name;
+  if (name in VINYL_PRESETS) {
+    soundSettings = { ...VINYL_PRESETS[name] };
+  }
+
+  renderSoundPanel();
+  applySoundSettings();
+  saveSoundSettings();
+}
+
+/**
+ * Change one setting, which makes the sound a custom one
+ * @param {string} key - Setting name
+ * @param {number} value - 0 to 1
+ */
+function setSoundSetting(key, value) {
+  soundSettings[key] = value;
+  soundPreset = 'custom';
+  soundPresetSelect.value = 'custom';
+  applySoundSettings();
+  saveSoundSettings();
+}
+
+/**
+ * Turn the engine off or back on
+ * @param {boolean} bypassed - Whether to play the preview untouched
+ */
+function setBypass(bypassed) {
+  soundBypassed = bypassed;
+  soundBypassToggle.checked = bypassed;
+  applySoundSettings();
+  saveSoundSettings();
+}
+
+/**
+ * Follow the volume knob
+ * The music itself follows the audio element's volume; this scales the layers.
+ */
+function setEngineVolume() {
+  applySoundSettings();
+}
+
+/**
+ * Play the noise loops at the turntable's speed
+ * @param {number} rate - Playback rate, 1 at 33⅓
+ */
+function setEnginePlaybackRate(rate) {
+  if (!engine) return;
+
+  [...engine.loops, engine.crackleSource].forEach(source => {
+    source.playbackRate.value = rate;
+  });
+}
+
+/**
+ * Bring the surface layers in or out with the previews
+ */
+function updateSurfaceActive() {
+  surfaceActive = window.previewDecks.elements().some(element => !element.paused);
+
+  if (surfaceActive) {
+    buildEngine();
+    if (engine.context.state === 'suspended') {
+      engine.context.resume();
+    }
+  }
+
+  applySoundSettings();
+}
+
+// Set up event listeners; during a crossfade the layers stay until both decks have stopped
+window.previewDecks.elements().forEach(element => {
+  ['play', 'pause', 'ended', 'emptied'].forEach(type => {
+    element.addEventListener(type, updateSurfaceActive);
+  });
+});
+
+soundPresetSelect.addEventListener('change', () => selectPreset(soundPresetSelect.value));
+soundSliders.forEach(slider => {
+  slider.addEventListener('input', () => setSoundSetting(slider.dataset.setting, Number(slider.value)));
+});
+soundBypassToggle.addEventListener('change', () => setBypass(soundBypassToggle.checked));
+
+loadSoundSettings();
+renderSoundPanel();
+
+// Export functions to window
+window.vinylEngine = {
+  selectPreset,
+  setBypass,
+  setVolume: setEngineVolume,
+  fadeDeck,
+  setPlaybackRate: setEnginePlaybackRate
+};
@@ -0,0 +1,204 @@
+/**
+ * Volume Knob
+ * One volume and mute setting for the preview audio, the Web Playback SDK and
+ * the simulated vinyl noise, remembered across reloads.
+ */
+
+const VOLUME_STORAGE_KEY = 'vinylPlayer.volume';
+const DEFAULT_VOLUME = 0.5;
+
+// The knob turns from -135deg (silent) to 135deg (full)
+const KNOB_MIN_DEG = -135;
+const KNOB_MAX_DEG = 135;
+
+// Dragging the knob this many pixels up or down covers the whole range
+const KNOB_DRAG_RANGE_PX = 200;
+
+// Keyboard steps
+const VOLUME_STEP = 0.05;
+const VOLUME_PAGE_STEP = 0.2;
+
+// DOM elements
+const volumeKnob = document.getElementById('volumeKnob');
+const muteBtn = document.getElementById('muteBtn');
+
+// Volume state
+let volumeLevel = DEFAULT_VOLUME;
+let volumeMuted = false;
+
+// Drag state: where the drag started and the level at that point
+let knobDragStart = null;
+
+/**
+ * Read the saved volume, if any
+ */
+function loadVolumeSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(VOLUME_STORAGE_KEY));
+    if (saved && typeof saved.level === 'number') {
+      volumeLevel = Math.min(Math.max(saved.level, 0), 1);
+      volumeMuted = Boolean(saved.muted);
+    }
+  } catch (error) {
+    console.warn('Ignoring unreadable volume setting:', error);
+  }
+}
+
+/**
+ * Remember the volume for the next visit
+ */
+function saveVolumeSettings() {
+  try {
+    localStorage.setItem(VOLUME_STORAGE_KEY, JSON.stringify({ level: volumeLevel, muted: volumeMuted }));
+  } catch (error) {
+    // Private browsing can refuse storage; the setting just won't persist
+    console.warn('Could not save volume setting:', error);
+  }
+}
+
+/**
+ * Get the volume everything should play at right now
+ * @returns {number} 0 to 1, 0 when muted
+ */
+function getVolume() {
+  return volumeMuted ? 0 : volumeLevel;
+}
+
+/**
+ * Push the current volume to every output
+ */
+function applyVolume() {
+  const volume = getVolume();
+
+  window.previewDecks.elements().forEach(deck => {
+    deck.volume = volume;
+  });
+
+  if (window.spotifyPlayer) {
+    window.spotifyPlayer.setVolume(volume);
+  }
+
+  // Gain node of the simulated vinyl noise, created in playVinylSound
+  if (window.vinylGain) {
+    window.vinylGain.gain.value = volume;
+  }
+
+  // Noise layers the vinyl engine puts over previews
+  if (window.vinylEngine) {
+    window.vinylEngine.setVolume(volume);
+  }
+
+  renderVolumeControls();
+}
+
+/**
+ * Show the level on the knob and the mute button
+ */
+function renderVolumeControls() {
+  const angle = KNOB_MIN_DEG + volumeLevel * (KNOB_MAX_DEG - KNOB_MIN_DEG);
+  const percent = Math.round(volumeLevel * 100);
+
+  volumeKnob.style.setProperty('--knob-angle', `${angle}deg`);
+  volumeKnob.classList.toggle('muted', volumeMuted);
+  volumeKnob.setAttribute('aria-valuenow', String(percent));
+  volumeKnob.setAttribute('aria-valuetext', volumeMuted ? `Muted (${percent}%)` : `${percent}%`);
+  volumeKnob.title = `Volume ${percent}%`;
+
+  muteBtn.classList.toggle('muted', volumeMuted);
+  muteBtn.setAttribute('aria-pressed', String(volumeMuted));
+  muteBtn.title = volumeMuted ? 'Unmute' : 'Mute';
+}
+
+/**
+ * Set the volume level; turning the knob up also unmutes
+ * @param {number} level - 0 to 1
+ */
+function setVolumeLevel(level) {
+  volumeLevel = Math.min(Math.max(level, 0), 1);
+  if (volumeMuted && level > 0) {
+    volumeMuted = false;
+  }
+  applyVolume();
+  saveVolumeSettings();
+}
+
+/**
+ * Turn the volume up or down from where it is
+ * @param {number} delta - Change in level; negative turns it down
+ */
+function nudgeVolume(delta) {
+  setVolumeLevel(volumeLevel + delta);
+}
+
+/**
+ * Toggle mute without losing the level
+ */
+function toggleMute() {
+  volumeMuted = !volumeMuted;
+  applyVolume();
+  saveVolumeSettings();
+}
+
+// Drag up or down to turn the knob
+volumeKnob.addEventListener('pointerdown', (event) => {
+  event.preventDefault();
+  volumeKnob.focus();
+  volumeKnob.setPointerCapture(event.pointerId);
+  knobDragStart = { y: event.clientY, level: volumeLevel };
+});
+
+volumeKnob.addEventListener('pointermove', (event) => {
+  if (!knobDragStart) return;
+  setVolumeLevel(knobDragStart.level + (knobDragStart.y - event.clientY) / KNOB_DRAG_RANGE_PX);
+});
+
+['pointerup', 'pointercancel'].forEach(type => {
+  volumeKnob.addEventListener(type, () => {
+    knobDragStart = null;
+  });
+});
+
+// Scroll over the knob to turn it
+volumeKnob.addEventListener('wheel', (event) => {
+  event.preventDefault();
+  setVolumeLevel(volumeLevel + (event.deltaY < 0 ? VOLUME_STEP : -VOLUME_STEP));
+}, { passive: false });
+
+// Keyboard: arrows, Page Up/Down, Home/End, and M to mute
+volumeKnob.addEventListener('keydown', (event) => {
+  const steps = {
+    ArrowUp: VOLUME_STEP,
+    ArrowRight: VOLUME_STEP,
+    ArrowDown: -VOLUME_STEP,
+    ArrowLeft: -VOLUME_STEP,
+    PageUp: VOLUME_PAGE_STEP,
+    PageDown: -VOLUME_PAGE_STEP
+  };
+
+  if (event.key in steps) {
+    setVolumeLevel(volumeLevel + steps[event.key]);
+  } else if (event.key === 'Home') {
+    setVolumeLevel(0);
+  } else if (event.key === 'End') {
+    setVolumeLevel(1);
+  } else if (event.key === 'm' || event.key === 'M') {
+    toggleMute();
+  } else {
+    return;
+  }
+
+  event.preventDefault();
+});
+
+muteBtn.addEventListener('click', toggleMute);
+
+loadVolumeSettings();
+applyVolume();
+
+// Export functions to window
+window.volumeControl = {
+  getVolume,
+  setVolumeLevel,
+  nudgeVolume,
+  toggleMute
+};
@@ -3,30 +3,85 @@
  * Handles user authentication with Spotify
  */
 
-const axios = require('axios');
 const querystring = require('querystring');
 const crypto = require('crypto');
+const { spotifyRequest } = require('../services/spotifyClient');
+const renderAuthError = require('../views/authError');
+const {
+  AUTH_FLOW,
+  REDIRECT_URI,
+  createPkcePair,
+  exchangeCode,
+  refreshSessionTokens,
+  getSessionAccessToken
+} = require('../services/spotifyAccounts');
 
 // Spotify API credentials
 const CLIENT_ID = process.env.CLIENT_ID;
-const CLIENT_SECRET = process.env.CLIENT_SECRET;
-const REDIRECT_URI = process.env.REDIRECT_URI || 'http://localhost:3000/callback';
 
-// Store state for CSRF protection
+// Store state (and the PKCE verifier) for CSRF protection
 const stateKey = 'spotify_auth_state';
 
+// How long a login attempt may take before its state cookie is rejected
+const STATE_MAX_AGE_MS = 10 * 60 * 1000;
+
+const stateCookieOptions = {
+  httpOnly: true,
+  signed: true,
+  sameSite: 'lax',
+  secure: process.env.NODE_ENV === 'production',
+  maxAge: STATE_MAX_AGE_MS
+};
+
+// Token cookies set by earlier versions, cleared on login and logout
+const LEGACY_COOKIES = ['spotify_access_token', 'spotify_refresh_token', 'spotify_expires_at'];
+
 // Create a random string for state
 const generateRandomString = (length) => {
   return crypto.randomBytes(length).toString('hex');
 };
 
+/**
+ * Remove token cookies left over from before server-side sessions
+ * @param {Object} res - Express response
+ */
+const clearLegacyCookies = (res) => {
+  LEGACY_COOKIES.forEach(name => res.clearCookie(name));
+};
+
+/**
+ * Send the login error page
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {string} title - Short heading
+ * @param {string} message - Explanation for the user
+ */
+const sendAuthError = (res, status, title, message) => {
+  res.status(status).send(renderAuthError({ title, message }));
+};
+
 /**
  * Login with Spotify
  * Redirects to Spotify auth page
+ * Uses PKCE when SPOTIFY_AUTH_FLOW is 'pkce' (the default without a client secret)
  */
 exports.login = (req, res) => {
   const state = generateRandomString(16);
-  res.cookie(stateKey, state);
+  const authParams = {};
+  const authState = {
+    state,
+    issuedAt: Date.now()
+  };
+
+  if (AUTH_FLOW === 'pkce') {
+    const { codeVerifier, codeChallenge } = createPkcePair();
+    authState.codeVerifier = codeVerifier;
+    authParams.code_challenge_method = 'S256';
+    authParams.code_challenge = codeChallenge;
+  }
+
+  // Signed and httpOnly so the state and verifier can't be read or swapped by scripts
+  res.cookie(stateKey, authState, stateCookieOptions);
 
   // Define the scopes (permissions) we need
   const scope = [
@@ -34,7 +89,11 @@ exports.login = (req, res) => {
     'user-read-email',
     'user-read-playback-state',
     'user-modify-playback-state',
-    'streaming'
+    'streaming',
+    'playlist-read-private',
+    'playlist-read-collaborative',
+    'user-library-read',
+    'user-library-modify'
   ].join(' ');
 
   // Redirect to Spotify's authorization page
@@ -44,110 +103,100 @@ exports.login = (req, res) => {
       client_id: CLIENT_ID,
       scope: scope,
       redirect_uri: REDIRECT_URI,
-      state: state
+      state: state,
+      ...authParams
     }));
 };
 
 /**
  * Callback after Spotify authorization
- * Exchanges authorization code for access token
+ * Exchanges authorization code for tokens and keeps them in the server-side session
  */
 exports.callback = async (req, res) => {
   const code = req.query.code || null;
   const state = req.query.state || null;
-  const storedState = req.cookies ? req.cookies[stateKey] : null;
-
-  if (state === null || state !== storedState) {
-    res.redirect('/#' +
-      querystring.stringify({
-        error: 'state_mismatch'
-      }));
-  } else {
-    res.clearCookie(stateKey);
-
-    try {
-      // Exchange authorization code for access token
-      const response = await axios({
-        method: 'post',
-        url: 'https://accounts.spotify.com/api/token',
-        params: {
-          code: code,
-          redirect_uri: REDIRECT_URI,
-          grant_type: 'authorization_code'
-        },
-        headers: {
-          'Authorization': 'Basic ' + (Buffer.from(CLIENT_ID + ':' + CLIENT_SECRET).toString('base64')),
-          'Content-Type': 'application/x-www-form-urlencoded'
-        }
-      });
-
-      const {
-        access_token,
-        refresh_token,
-        expires_in
-      } = response.data;
-
-      // Calculate expiration time (current time + expires_in seconds)
-      const expires_at = Date.now() + (expires_in * 1000);
-
-      // Set the tokens in cookies for client access
-      // Note: In production, you'd want to use secure, httpOnly cookies
-      res.cookie('spotify_access_token', access_token, { maxAge: expires_in * 1000 });
-      res.cookie('spotify_refresh_token', refresh_token, { maxAge: 30 * 24 * 60 * 60 * 1000 }); // 30 days
-      res.cookie('spotify_expires_at', expires_at.toString(), { maxAge: expires_in * 1000 });
-
-      // Redirect back to the application
-      res.redirect('/');
-    } catch (error) {
-      console.error('Error during token exchange:', error.message);
-      if (error.response) {
-        console.error('Spotify API response:', error.response.data);
-      }
-      res.redirect('/#' +
-        querystring.stringify({
-          error: 'invalid_token'
-        }));
+  // false when the signature doesn't match, undefined when missing
+  const storedState = req.signedCookies ? req.signedCookies[stateKey] : null;
+
+  res.clearCookie(stateKey, { ...stateCookieOptions, maxAge: undefined });
+
+  // The user declined, or Spotify rejected the request
+  if (req.query.error) {
+    const denied = req.query.error === 'access_denied';
+    return sendAuthError(
+      res,
+      denied ? 403 : 400,
+      denied ? 'Spotify access was not granted' : 'Spotify login failed',
+      denied
+        ? 'You cancelled the Spotify login. You can keep using previews, or try again to enable full playback.'
+        : `Spotify reported an error: ${req.query.error}`
+    );
+  }
+
+  if (!storedState || !state || state !== storedState.state) {
+    return sendAuthError(
+      res,
+      400,
+      'Login could not be verified',
+      'The login request did not match this browser. Please start the login again from the player.'
+    );
+  }
+
+  if (Date.now() - storedState.issuedAt > STATE_MAX_AGE_MS) {
+    return sendAuthError(res, 400, 'Login expired', 'The login took too long to complete. Please try again.');
+  }
+
+  if (!code) {
+    return sendAuthError(res, 400, 'Spotify login failed', 'Spotify did not return an authorization code.');
+  }
+
+  try {
+    // Exchange authorization code for access token
+    const tokens = await exchangeCode(code, storedState.codeVerifier);
+
+    // Remember who this is and where they listen, for market-aware catalog requests
+    const profile = await spotifyRequest({ url: '/me', token: tokens.accessToken });
+
+    // Tokens stay on the server; the browser only gets an opaque session id
+    await req.startSession({
+      ...tokens,
+      userId: profile.id,
+      country: profile.country
+    });
+    clearLegacyCookies(res);
+
+    // Redirect back to the application
+    res.redirect('/?login=success');
+  } catch (error) {
+    console.error('Error during token exchange:', error.message);
+    if (error.response) {
+      console.error('Spotify API response:', error.response.data);
     }
+    sendAuthError(
+      res,
+      502,
+      'Spotify login failed',
+      'We could not exchange the login code for a token. Please try again in a moment.'
+    );
   }
 };
 
 /**
- * Refresh access token using refresh token
+ * Refresh the session's access token
+ * Returns the new short-lived access token for the Web Playback SDK
  */
 exports.refreshToken = async (req, res) => {
-  // Get the refresh token from the request
-  const refresh_token = req.body.refresh_token || req.cookies.spotify_refresh_token;
-
-  if (!refresh_token) {
-    return res.status(400).json({ error: 'Refresh token is required' });
+  if (!req.session) {
+    return res.status(401).json({ error: 'Not logged in' });
   }
 
   try {
-    // Get a new access token
-    const response = await axios({
-      method: 'post',
-      url: 'https://accounts.spotify.com/api/token',
-      params: {
-        refresh_token: refresh_token,
-        grant_type: 'refresh_token'
-      },
-      headers: {
-        'Authorization': 'Basic ' + (Buffer.from(CLIENT_ID + ':' + CLIENT_SECRET).toString('base64')),
-        'Content-Type': 'application/x-www-form-urlencoded'
-      }
-    });
-
-    const { access_token, expires_in } = response.data;
-    const expires_at = Date.now() + (expires_in * 1000);
-
-    // Update cookies
-    res.cookie('spotify_access_token', access_token, { maxAge: expires_in * 1000 });
-    res.cookie('spotify_expires_at', expires_at.toString(), { maxAge: expires_in * 1000 });
+    const { accessToken, expiresAt } = await refreshSessionTokens(req);
 
     res.json({
-      access_token,
-      expires_in,
-      expires_at
+      access_token: accessToken,
+      expires_in: Math.floor((expiresAt - Date.now()) / 1000),
+      expires_at: expiresAt
     });
   } catch (error) {
     console.error('Error refreshing token:', error.message);
@@ -162,25 +211,19 @@ exports.refreshToken = async (req, res) => {
  * Get current user's profile
  */
 exports.getUserProfile = async (req, res) => {
-  const access_token = req.cookies.spotify_access_token;
+  try {
+    const access_token = await getSessionAccessToken(req);
 
-  if (!access_token) {
-    return res.status(401).json({ error: 'No access token' });
-  }
+    if (!access_token) {
+      return res.status(401).json({ error: 'No access token' });
+    }
 
-  try {
-    const response = await axios({
-      method: 'get',
-      url: 'https://api.spotify.com/v1/me',
-      headers: {
-        'Authorization': 'Bearer ' + access_token
-      }
-    });
+    const profile = await spotifyRequest({ url: '/me', token: access_token });
 
-    res.json(response.data);
+    res.json(profile);
   } catch (error) {
     console.error('Error getting user profile:', error.message);
-    if (error.response && error.response.status === 401) {
+    if (error.status === 401) {
       res.status(401).json({ error: 'Access token expired', needsRefresh: true });
     } else {
       res.status(500).json({ error: 'Failed to get user profile' });
@@ -190,34 +233,39 @@ exports.getUserProfile = async (req, res) => {
 
 /**
  * Check if user is authenticated
+ * Only the short-lived access token is returned, never the refresh token
  */
-exports.checkAuth = (req, res) => {
-  const access_token = req.cookies.spotify_access_token;
-  const refresh_token = req.cookies.spotify_refresh_token;
-  const expires_at = req.cookies.spotify_expires_at;
-
-  if (!access_token || !refresh_token) {
+exports.checkAuth = async (req, res) => {
+  if (!req.session) {
     return res.json({ authenticated: false });
   }
 
-  // Check if token is expired
-  const isExpired = Date.now() > parseInt(expires_at || '0');
+  try {
+    const access_token = await getSessionAccessToken(req);
 
-  res.json({
-    authenticated: true,
-    expired: isExpired,
-    access_token: isExpired ? null : access_token,
-    refresh_token
-  });
+    res.json({
+      authenticated: true,
+      access_token,
+      expires_at: req.session.expiresAt
+    });
+  } catch (error) {
+    // The refresh token was revoked or expired; start over
+    console.error('Error refreshing session token:', error.message);
+    await req.endSession();
+    res.json({ authenticated: false });
+  }
 };
 
 /**
- * Logout user by clearing cookies
+ * Logout user by ending the session
  */
-exports.logout = (req, res) => {
-  res.clearCookie('spotify_access_token');
-  res.clearCookie('spotify_refresh_token');
-  res.clearCookie('spotify_expires_at');
-  
+exports.logout = async (req, res) => {
+  try {
+    await req.endSession();
+  } catch (error) {
+    console.error('Error ending session:', error.message);
+  }
+  clearLegacyCookies(res);
+
   res.json({ success: true });
-};
\ No newline at end of file
+};
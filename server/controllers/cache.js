@@ -0,0 +1,26 @@
+/**
+ * Cache Controller
+ * Admin endpoints for inspecting and purging the catalog response cache
+ */
+
+const { catalogCache } = require('../services/responseCache');
+
+/**
+ * Get cache statistics
+ */
+exports.getCacheStats = (req, res) => {
+  res.json(catalogCache.stats());
+};
+
+/**
+ * Purge the cache
+ * Pass ?prefix=/api/spotify/album/ to only drop matching keys
+ */
+exports.purgeCache = (req, res) => {
+  const { prefix } = req.query;
+  const purged = catalogCache.purge(prefix);
+
+  console.log(`Purged ${purged} cache entries${prefix ? ` matching "${prefix}"` : ''}`);
+
+  res.json({ purged });
+};
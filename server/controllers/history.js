@@ -0,0 +1,124 @@
+/**
+ * Listening History Controller
+ * Records and lists what the logged-in user has played
+ */
+
+const { historyStore } = require('../services/historyStore');
+
+/**
+ * Keep only the fields we store for a track's artists
+ * @param {Array} artists - Artist objects from the client
+ * @returns {Array} { id, name } pairs
+ */
+const pickArtists = (artists) => (Array.isArray(artists) ? artists : [])
+  .filter(artist => artist && typeof artist.name === 'string')
+  .map(artist => ({ id: artist.id || null, name: artist.name }));
+
+/**
+ * Shape a play sent by the client into a history entry
+ * @param {Object} body - Request body: { track, album, context }
+ * @returns {Object|null} Play to store, or null when the track is missing
+ */
+const toPlay = ({ track, album, context } = {}) => {
+  if (!track || typeof track.id !== 'string' || typeof track.name !== 'string') {
+    return null;
+  }
+
+  return {
+    track: {
+      id: track.id,
+      name: track.name,
+      artists: pickArtists(track.artists),
+      duration_ms: Number(track.duration_ms) || null,
+      preview_url: track.preview_url || null
+    },
+    album: album && album.id ? {
+      id: album.id,
+      name: album.name || null,
+      image: album.image || null
+    } : null,
+    context: context && context.type ? {
+      type: context.type,
+      id: context.id || null,
+      name: context.name || null
+    } : null
+  };
+};
+
+/**
+ * List the user's history, newest first
+ * Supports ?limit (1-50, default 20) and ?offset
+ */
+exports.listHistory = async (req, res) => {
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const offset = parseInt(req.query.offset, 10) || 0;
+
+  if (limit < 1 || limit > 50 || offset < 0) {
+    return res.status(400).json({ error: 'limit must be 1-50 and offset at least 0' });
+  }
+
+  try {
+    const { items, total } = await historyStore.list(req.session.userId, { offset, limit });
+
+    res.json({
+      items,
+      total,
+      offset,
+      next_offset: offset + items.length < total ? offset + items.length : null
+    });
+  } catch (error) {
+    console.error('Error listing history:', error.message);
+    res.status(500).json({ error: 'Failed to list history' });
+  }
+};
+
+/**
+ * Add a played track to the history
+ * Body: { track: { id, name, artists, duration_ms, preview_url }, album: { id, name, image }, context: { type, id, name } }
+ */
+exports.appendHistory = async (req, res) => {
+  const play = toPlay(req.body);
+
+  if (!play) {
+    return res.status(400).json({ error: 'track with an id and name is required' });
+  }
+
+  try {
+    const entry = await historyStore.append(req.session.userId, play);
+    res.status(201).json(entry);
+  } catch (error) {
+    console.error('Error appending history:', error.message);
+    res.status(500).json({ error: 'Failed to record history' });
+  }
+};
+
+/**
+ * Remove one history entry
+ */
+exports.deleteHistoryEntry = async (req, res) => {
+  try {
+    const removed = await historyStore.remove(req.session.userId, req.params.id);
+
+    if (!removed) {
+      return res.status(404).json({ error: 'History entry not found' });
+    }
+
+    res.json({ deleted: 1 });
+  } catch (error) {
+    console.error('Error deleting history entry:', error.message);
+    res.status(500).json({ error: 'Failed to delete history entry' });
+  }
+};
+
+/**
+ * Clear the user's whole history
+ */
+exports.clearHistory = async (req, res) => {
+  try {
+    const deleted = await historyStore.clear(req.session.userId);
+    res.json({ deleted });
+  } catch (error) {
+    console.error('Error clearing history:', error.message);
+    res.status(500).json({ error: 'Failed to clear history' });
+  }
+};
@@ -1,502 +1,770 @@
 /**
- * Find tracks with previews available
+ * Spotify API Controller
+ * Handles all Spotify API interactions
  */
-exports.findTracksWithPreviews = async (req, res) => {
-    try {
-      const { query = 'hits', type = 'track', limit = 50 } = req.query;
-      
-      const token = await getSpotifyToken();
-      
-      console.log(`Searching for tracks with previews using query: "${query}"`);
-      
-      // Try multiple approaches to find preview URLs
-      
-      // 1. First approach: Try to get featured playlists which often have preview URLs
-      let featuredPlaylists = [];
-      try {
-        const featuredResponse = await axios({
-          method: 'get',
-          url: 'https://api.spotify.com/v1/browse/featured-playlists',
-          params: {
-            limit: 5,
-            country: 'US'
-          },
-          headers: {
-            'Authorization': `Bearer ${token}`
-          }
-        });
-        
-        featuredPlaylists = featuredResponse.data?.playlists?.items || [];
-        console.log(`Found ${featuredPlaylists.length} featured playlists`);
-      } catch (error) {
-        console.error('Error fetching featured playlists:', error.message);
-      }
-      
-      // 2. Second approach: Try search
-      let searchResults = {
-        tracks: { items: [] },
-        albums: { items: [] }
-      };
-      
-      try {
-        const searchResponse = await axios({
-          method: 'get',
-          url: 'https://api.spotify.com/v1/search',
-          params: {
-            q: query,
-            type: 'album,track',
-            limit: limit,
-            market: 'US'
-          },
-          headers: {
-            'Authorization': `Bearer ${token}`
-          }
-        });
-        
-        searchResults = searchResponse.data;
-        console.log(
-          `Search returned ${searchResults.tracks?.items?.length || 0} tracks and ${searchResults.albums?.items?.length || 0} albums`
-        );
-      } catch (error) {
-        console.error('Error searching Spotify:', error.message);
-      }
-      
-      // 3. Try to get new releases
-      let newReleases = [];
-      try {
-        const newReleasesResponse = await axios({
-          method: 'get',
-          url: 'https://api.spotify.com/v1/browse/new-releases',
-          params: {
-            limit: 5,
-            country: 'US'
-          },
-          headers: {
-            'Authorization': `Bearer ${token}`
-          }
-        });
-        
-        newReleases = newReleasesResponse.data?.albums?.items || [];
-        console.log(`Found ${newReleases.length} new releases`);
-      } catch (error) {
-        console.error('Error fetching new releases:', error.message);
-      }
-      
-      // Combine all sources
-      const sources = [
-        {type: 'featured', items: featuredPlaylists}, 
-        {type: 'search', items: searchResults.albums?.items || []},
-        {type: 'new_releases', items: newReleases}
-      ];
-      
-      // Process all sources to find previews
-      let results = [];
-      
-      // Process each source
-      for (const source of sources) {
-        if (!source.items || !source.items.length) continue;
-        
-        // For playlists, get tracks
-        if (source.type === 'featured') {
-          for (const playlist of source.items.slice(0, 3)) {
-            try {
-              const playlistResponse = await axios({
-                method: 'get',
-                url: `https://api.spotify.com/v1/playlists/${playlist.id}/tracks`,
-                params: {
-                  limit: 10
-                },
-                headers: {
-                  'Authorization': `Bearer ${token}`
-                }
-              });
-              
-              const playlistTracks = playlistResponse.data?.items || [];
-              const tracksWithPreviews = playlistTracks
-                .filter(item => item.track && item.track.preview_url)
-                .map(item => item.track);
-              
-              console.log(`Playlist "${playlist.name}": ${tracksWithPreviews.length}/${playlistTracks.length} tracks have previews`);
-              
-              if (tracksWithPreviews.length > 0) {
-                results.push({
-                  id: playlist.id,
-                  name: playlist.name,
-                  artist: 'Spotify Playlist',
-                  tracks_count: playlistTracks.length,
-                  tracks_with_previews: tracksWithPreviews.length,
-                  image: playlist.images[0]?.url,
-                  type: 'playlist',
-                  tracks: tracksWithPreviews.map(track => ({
-                    id: track.id,
-                    name: track.name,
-                    preview_url: track.preview_url
-                  }))
-                });
-              }
-            } catch (error) {
-              console.error(`Error fetching playlist ${playlist.id}:`, error.message);
-            }
-          }
-        } else {
-          // For albums, get tracks
-          for (const album of source.items.slice(0, 3)) {
-            try {
-              const albumResponse = await axios({
-                method: 'get',
-                url: `https://api.spotify.com/v1/albums/${album.id}/tracks`,
-                params: {
-                  limit: 20
-                },
-                headers: {
-                  'Authorization': `Bearer ${token}`
-                }
-              });
-              
-              const albumTracks = albumResponse.data?.items || [];
-              
-              // For each track, get full track details to check for preview URL
-              let tracksWithPreviews = [];
-              
-              for (const track of albumTracks.slice(0, 10)) {
-                try {
-                  const trackResponse = await axios({
-                    method: 'get',
-                    url: `https://api.spotify.com/v1/tracks/${track.id}`,
-                    params: {
-                      market: 'US'
-                    },
-                    headers: {
-                      'Authorization': `Bearer ${token}`
-                    }
-                  });
-                  
-                  if (trackResponse.data.preview_url) {
-                    tracksWithPreviews.push(trackResponse.data);
-                  }
-                } catch (error) {
-                  console.error(`Error fetching track ${track.id}:`, error.message);
-                }
-              }
-              
-              console.log(`Album "${album.name}": ${tracksWithPreviews.length}/${albumTracks.length} tracks have previews`);
-              
-              if (tracksWithPreviews.length > 0) {
-                results.push({
-                  id: album.id,
-                  name: album.name,
-                  artist: album.artists[0].name,
-                  tracks_count: albumTracks.length,
-                  tracks_with_previews: tracksWithPreviews.length,
-                  image: album.images[0]?.url,
-                  type: 'album',
-                  tracks: tracksWithPreviews.map(track => ({
-                    id: track.id,
-                    name: track.name,
-                    preview_url: track.preview_url
-                  }))
-                });
-              }
-            } catch (error) {
-              console.error(`Error fetching album ${album.id}:`, error.message);
-            }
-          }
-        }
-      }
-      
-      // Also add individual tracks from search
-      const individualTracks = (searchResults.tracks?.items || [])
-        .filter(track => track.preview_url)
-        .map(track => ({
-          id: track.id,
-          name: track.name,
-          artist: track.artists[0].name,
-          album: track.album.name,
-          preview_url: track.preview_url,
-          album_id: track.album.id,
-          image: track.album.images[0]?.url
-        }));
-      
-      console.log(`Found ${individualTracks.length} individual tracks with previews`);
-      
-      // Combine all results
-      const allResults = [...results];
-      
-      if (individualTracks.length > 0) {
-        allResults.push({
-          name: 'Tracks with Previews',
-          artist: 'Various Artists',
-          image: individualTracks[0]?.image,
-          tracks_count: individualTracks.length,
-          tracks_with_previews: individualTracks.length,
-          tracks: individualTracks.map(track => ({
-            id: track.id,
-            name: track.name,
-            preview_url: track.preview_url
-          }))
-        });
-      }
-      
-      console.log(`Total: Found ${allResults.length} sources with previews available`);
-      
-      // If nothing found, create a test track with preview
-      if (allResults.length === 0) {
-        console.log('No results found with previews. Adding a test track.');
-        // This is a widely available preview URL that should work in most regions
-        allResults.push({
-          name: 'Test Tracks',
-          artist: 'Spotify',
-          tracks_count: 1,
-          tracks_with_previews: 1,
-          tracks: [{
-            id: 'test1',
-            name: 'Test Track (guaranteed preview)',
-            preview_url: 'https://p.scdn.co/mp3-preview/6902e7da51d2f17e5369d57dadf8ce7d2a123f99'
-          }]
-        });
-      }
-      
-      res.json({
-        query,
-        type,
-        total_results: allResults.length,
-        results: allResults
-      });
-    } catch (error) {
-      console.error('Error finding tracks with previews:', error.message);
-      if (error.response) {
-        console.error('Spotify API response:', error.response.data);
-      }
-      res.status(500).json({ error: 'Failed to find tracks with previews' });
-    }
-  };/**
-   * Spotify API Controller
-   * Handles all Spotify API interactions
-   */
-  
-  const axios = require('axios');
-  
-  // Spotify API credentials from environment variables
-  const CLIENT_ID = process.env.CLIENT_ID;
-  const CLIENT_SECRET = process.env.CLIENT_SECRET;
-  
-  // Cache for the token to avoid unnecessary requests
-  let tokenData = {
-    token: null,
-    expires: 0
-  };
-  
-  /**
-   * Get and cache Spotify API token
-   * @returns {Promise<string>} Access token
-   */
-  const getSpotifyToken = async () => {
-    // Check if we have a valid token
-    const now = Date.now();
-    if (tokenData.token && tokenData.expires > now) {
-      return tokenData.token;
+
+const {
+  SpotifyApiError,
+  getSpotifyToken,
+  getTokenExpiry,
+  spotifyRequest,
+  spotifyRequestAllPages
+} = require('../services/spotifyClient');
+const { findPreviews } = require('../services/previewFinder');
+const { EDITION_PREFERENCES, groupEditions } = require('../services/albumEditions');
+const { mapWithConcurrency, chunk } = require('../utils/async');
+
+// Spotify statuses that are passed straight through to the client
+const PASS_THROUGH_STATUSES = [400, 401, 403, 404];
+
+// Release types accepted by the artist albums endpoint
+const ALBUM_GROUPS = ['album', 'single', 'compilation', 'appears_on'];
+
+// Sort keys for artist albums
+const ALBUM_SORTS = ['release_date', 'name'];
+
+// Item types the search endpoint accepts
+const SEARCH_TYPES = ['artist', 'album', 'track', 'playlist'];
+
+/**
+ * Send an error response for a failed Spotify request
+ * Rate limits and timeouts get their own status so the UI can explain them
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown while handling the request
+ * @param {string} message - User-facing description of what failed
+ */
+const sendSpotifyError = (res, error, message) => {
+  console.error(`${message}:`, error.message);
+  if (error.details) {
+    console.error('Spotify API response:', error.details);
+  }
+
+  if (!(error instanceof SpotifyApiError)) {
+    return res.status(500).json({ error: message });
+  }
+
+  if (error.status === 429) {
+    const retryAfter = error.retryAfter || 1;
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+      error: `Spotify is rate limiting requests. Please try again in ${retryAfter} seconds.`,
+      retryAfter
+    });
+  }
+
+  if (error.status === 504) {
+    return res.status(504).json({ error: `${message}: Spotify took too long to respond` });
+  }
+
+  if (PASS_THROUGH_STATUSES.includes(error.status)) {
+    return res.status(error.status).json({ error: `${message}: ${error.message}` });
+  }
+
+  res.status(502).json({ error: message });
+};
+
+/**
+ * Get authentication token (for client)
+ * Note: This is a simplified approach - in production, you might want additional security
+ */
+exports.getToken = async (req, res) => {
+  try {
+    // Get token
+    const token = await getSpotifyToken();
+    
+    // Return token info to client
+    res.json({ 
+      token,
+      // Only send expiration time, not the actual token expiry for security
+      expiresIn: Math.floor((getTokenExpiry() - Date.now()) / 1000)
+    });
+  } catch (error) {
+    sendSpotifyError(res, error, 'Failed to get token');
+  }
+};
+
+/**
+ * Search the Spotify catalog
+ * Query: q, type (comma separated), limit, offset
+ */
+exports.search = async (req, res) => {
+  try {
+    const { q, type = 'artist' } = req.query;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const offset = parseInt(req.query.offset, 10) || 0;
+    
+    if (!q) {
+      return res.status(400).json({ error: 'Search query is required' });
     }
-  
-    try {
-      // Request new token
-      const response = await axios({
-        method: 'post',
-        url: 'https://accounts.spotify.com/api/token',
-        params: {
-          grant_type: 'client_credentials'
-        },
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-          'Authorization': `Basic ${Buffer.from(`${CLIENT_ID}:${CLIENT_SECRET}`).toString('base64')}`
-        }
+    
+    const types = type.split(',').map(item => item.trim()).filter(Boolean);
+    const invalidTypes = types.filter(item => !SEARCH_TYPES.includes(item));
+    
+    if (types.length === 0 || invalidTypes.length > 0) {
+      return res.status(400).json({
+        error: `type must be a comma separated list of: ${SEARCH_TYPES.join(', ')}`
       });
-  
-      // Cache the token with expiration
-      tokenData.token = response.data.access_token;
-      // Set expiration time (subtract 60s for safety margin)
-      tokenData.expires = now + (response.data.expires_in - 60) * 1000;
-  
-      return tokenData.token;
-    } catch (error) {
-      console.error('Error getting Spotify token:', error.message);
-      throw new Error('Failed to obtain Spotify access token');
     }
-  };
-  
-  /**
-   * Get authentication token (for client)
-   * Note: This is a simplified approach - in production, you might want additional security
-   */
-  exports.getToken = async (req, res) => {
-    try {
-      // Get token
-      const token = await getSpotifyToken();
-      
-      // Return token info to client
-      res.json({ 
-        token,
-        // Only send expiration time, not the actual token expiry for security
-        expiresIn: Math.floor((tokenData.expires - Date.now()) / 1000)
-      });
-    } catch (error) {
-      res.status(500).json({ error: error.message });
+    
+    // Spotify caps page size at 50 and offset at 1000
+    if (limit < 1 || limit > 50 || offset < 0 || offset > 1000) {
+      return res.status(400).json({ error: 'limit must be 1-50 and offset 0-1000' });
     }
-  };
-  
-  /**
-   * Search for an artist
-   */
-  exports.searchArtist = async (req, res) => {
-    try {
-      const { name } = req.query;
-      
-      if (!name) {
-        return res.status(400).json({ error: 'Artist name is required' });
+    
+    const data = await spotifyRequest({
+      url: '/search',
+      token: req.spotify.token,
+      params: {
+        q,
+        type: types.join(','),
+        limit,
+        offset,
+        market: req.spotify.market
       }
-      
-      const token = await getSpotifyToken();
-      
-      const response = await axios({
-        method: 'get',
-        url: 'https://api.spotify.com/v1/search',
-        params: {
-          q: name,
-          type: 'artist',
-          limit: 1
-        },
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
-      });
-      
-      if (response.data.artists.items.length === 0) {
-        return res.status(404).json({ error: 'Artist not found' });
+    });
+    
+    res.json(data);
+  } catch (error) {
+    sendSpotifyError(res, error, 'Failed to search Spotify');
+  }
+};
+
+/**
+ * Search for an artist
+ */
+exports.searchArtist = async (req, res) => {
+  try {
+    const { name } = req.query;
+    
+    if (!name) {
+      return res.status(400).json({ error: 'Artist name is required' });
+    }
+    
+    const data = await spotifyRequest({
+      url: '/search',
+      token: req.spotify.token,
+      params: {
+        q: name,
+        type: 'artist',
+        limit: 1
       }
-      
-      res.json(response.data.artists.items[0]);
-    } catch (error) {
-      console.error('Error searching for artist:', error.message);
-      res.status(500).json({ error: 'Failed to search for artist' });
+    });
+    
+    if (data.artists.items.length === 0) {
+      return res.status(404).json({ error: 'Artist not found' });
     }
-  };
-  
-  /**
-   * Get albums by artist ID
-   */
-  exports.getArtistAlbums = async (req, res) => {
-    try {
-      const { id } = req.params;
-      
-      if (!id) {
-        return res.status(400).json({ error: 'Artist ID is required' });
+    
+    res.json(data.artists.items[0]);
+  } catch (error) {
+    sendSpotifyError(res, error, 'Failed to search for artist');
+  }
+};
+
+/**
+ * Get an artist's profile by artist ID: images, genres and followers
+ */
+exports.getArtist = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    if (!id) {
+      return res.status(400).json({ error: 'Artist ID is required' });
+    }
+    
+    const artist = await spotifyRequest({
+      url: `/artists/${id}`,
+      token: req.spotify.token
+    });
+    
+    res.json(artist);
+  } catch (error) {
+    sendSpotifyError(res, error, 'Failed to get artist');
+  }
+};
+
+/**
+ * Get an artist's most popular tracks
+ * This endpoint only takes a country code, so logged-in users send their country
+ * rather than from_token.
+ */
+exports.getArtistTopTracks = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    if (!id) {
+      return res.status(400).json({ error: 'Artist ID is required' });
+    }
+    
+    const { tracks } = await spotifyRequest({
+      url: `/artists/${id}/top-tracks`,
+      token: req.spotify.token,
+      params: {
+        market: req.spotify.country
       }
-      
-      const token = await getSpotifyToken();
-      
-      const response = await axios({
-        method: 'get',
-        url: `https://api.spotify.com/v1/artists/${id}/albums`,
-        params: {
-          include_groups: 'album',
-          limit: 50
-        },
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
+    });
+    
+    res.json(tracks);
+  } catch (error) {
+    sendSpotifyError(res, error, 'Failed to get top tracks');
+  }
+};
+
+/**
+ * Get artists similar to an artist
+ */
+exports.getRelatedArtists = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    if (!id) {
+      return res.status(400).json({ error: 'Artist ID is required' });
+    }
+    
+    const { artists } = await spotifyRequest({
+      url: `/artists/${id}/related-artists`,
+      token: req.spotify.token
+    });
+    
+    res.json(artists);
+  } catch (error) {
+    sendSpotifyError(res, error, 'Failed to get related artists');
+  }
+};
+
+/**
+ * Get albums by artist ID
+ * Pages through the whole discography and keeps one edition of each record
+ * Query: include_groups (comma separated), market, sort (release_date|name), order (asc|desc),
+ * edition (original|deluxe|clean)
+ */
+exports.getArtistAlbums = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const {
+      include_groups = 'album',
+      sort = 'release_date',
+      order = 'desc',
+      edition = 'original'
+    } = req.query;
+    
+    if (!id) {
+      return res.status(400).json({ error: 'Artist ID is required' });
+    }
+    
+    const groups = include_groups.split(',').map(group => group.trim()).filter(Boolean);
+    const invalidGroups = groups.filter(group => !ALBUM_GROUPS.includes(group));
+    
+    if (groups.length === 0 || invalidGroups.length > 0) {
+      return res.status(400).json({
+        error: `include_groups must be a comma separated list of: ${ALBUM_GROUPS.join(', ')}`
       });
-      
-      res.json(response.data.items);
-    } catch (error) {
-      console.error('Error getting artist albums:', error.message);
-      res.status(500).json({ error: 'Failed to get artist albums' });
     }
-  };
-  
+    
+    if (!ALBUM_SORTS.includes(sort) || !['asc', 'desc'].includes(order)) {
+      return res.status(400).json({ error: `sort must be one of ${ALBUM_SORTS.join(', ')} and order asc or desc` });
+    }
+    
+    if (!EDITION_PREFERENCES.includes(edition)) {
+      return res.status(400).json({ error: `edition must be one of ${EDITION_PREFERENCES.join(', ')}` });
+    }
+    
+    const releases = await spotifyRequestAllPages({
+      url: `/artists/${id}/albums`,
+      token: req.spotify.token,
+      params: {
+        include_groups: groups.join(','),
+        market: req.spotify.market,
+        limit: 50
+      }
+    });
+    
+    // One album per record, in the edition the listener prefers
+    const albums = await groupEditions(releases, {
+      preference: edition,
+      token: req.spotify.token,
+      market: req.spotify.market
+    });
+    
+    // Release dates are YYYY, YYYY-MM or YYYY-MM-DD, so they sort as strings
+    const direction = order === 'asc' ? 1 : -1;
+    albums.sort((a, b) => {
+      const compare = sort === 'name'
+        ? a.name.localeCompare(b.name)
+        : (a.release_date || '').localeCompare(b.release_date || '');
+      return compare * direction;
+    });
+    
+    console.log(`Artist ${id}: ${albums.length} records from ${releases.length} releases (${groups.join(', ')})`);
+    
+    res.json(albums);
+  } catch (error) {
+    sendSpotifyError(res, error, 'Failed to get artist albums');
+  }
+};
 
-  /**
-   * Get album details by album ID
-   */
-  exports.getAlbumDetails = async (req, res) => {
-    try {
-      const { id } = req.params;
-      
-      if (!id) {
-        return res.status(400).json({ error: 'Album ID is required' });
+/**
+ * Get album details by album ID
+ */
+exports.getAlbumDetails = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    if (!id) {
+      return res.status(400).json({ error: 'Album ID is required' });
+    }
+    
+    const album = await spotifyRequest({
+      url: `/albums/${id}`,
+      token: req.spotify.token,
+      params: {
+        market: req.spotify.market
       }
-      
-      const token = await getSpotifyToken();
-      
-      const response = await axios({
-        method: 'get',
-        url: `https://api.spotify.com/v1/albums/${id}`,
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
-      });
-      
-      // Log preview URL availability for debugging
-      const tracks = response.data.tracks.items;
-      const availablePreviews = tracks.filter(track => track.preview_url).length;
-      console.log(`\nAlbum: ${response.data.name}`);
-      console.log(`Tracks with preview URLs: ${availablePreviews}/${tracks.length}`);
-      
-      if (availablePreviews === 0) {
-        console.log("WARNING: No tracks have preview URLs. This could be due to:");
-        console.log("1. Regional restrictions (Spotify limits previews in some regions)");
-        console.log("2. Rights holder restrictions (some artists/labels don't allow previews)");
-        console.log("3. Recent Spotify API changes");
-        
-        // Log a sample track for debugging
-        if (tracks.length > 0) {
-          console.log("\nSample track from response:");
-          console.log(`Track: ${tracks[0].name}`);
-          console.log("Has preview URL:", !!tracks[0].preview_url);
-          console.log("Preview URL:", tracks[0].preview_url || "not available");
-        }
+    });
+    
+    // Log preview URL availability for debugging
+    const tracks = album.tracks.items;
+    const availablePreviews = tracks.filter(track => track.preview_url).length;
+    console.log(`\nAlbum: ${album.name}`);
+    console.log(`Tracks with preview URLs: ${availablePreviews}/${tracks.length}`);
+    
+    if (availablePreviews === 0) {
+      console.log("WARNING: No tracks have preview URLs. This could be due to:");
+      console.log("1. Regional restrictions (Spotify limits previews in some regions)");
+      console.log("2. Rights holder restrictions (some artists/labels don't allow previews)");
+      console.log("3. Recent Spotify API changes");
+      
+      // Log a sample track for debugging
+      if (tracks.length > 0) {
+        console.log("\nSample track from response:");
+        console.log(`Track: ${tracks[0].name}`);
+        console.log("Has preview URL:", !!tracks[0].preview_url);
+        console.log("Preview URL:", tracks[0].preview_url || "not available");
       }
-      
-      res.json(response.data);
-    } catch (error) {
-      console.error('Error getting album details:', error.message);
-      res.status(500).json({ error: 'Failed to get album details' });
     }
-  };
+    
+    res.json(album);
+  } catch (error) {
+    sendSpotifyError(res, error, 'Failed to get album details');
+  }
+};
 
-  /**
+/**
  * Get track details by track ID
  */
 exports.getTrackDetails = async (req, res) => {
-    try {
-      const { id } = req.params;
-      
-      if (!id) {
-        return res.status(400).json({ error: 'Track ID is required' });
+  try {
+    const { id } = req.params;
+    
+    if (!id) {
+      return res.status(400).json({ error: 'Track ID is required' });
+    }
+    
+    const track = await spotifyRequest({
+      url: `/tracks/${id}`,
+      token: req.spotify.token,
+      params: {
+        market: req.spotify.market
       }
-      
-      const token = await getSpotifyToken();
-      
-      const response = await axios({
-        method: 'get',
-        url: `https://api.spotify.com/v1/tracks/${id}`,
-        params: {
-          market: 'US' // Explicitly request US market which often has more previews
-        },
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
+    });
+    
+    // Log if preview URL is available
+    const hasPreview = !!track.preview_url;
+    console.log(`Track: ${track.name}`);
+    console.log(`Has preview URL: ${hasPreview}`);
+    
+    res.json(track);
+  } catch (error) {
+    sendSpotifyError(res, error, 'Failed to get track details');
+  }
+};
+
+/**
+ * Get one page of the logged-in user's saved albums for the record crate
+ * Saved albums rarely carry genres of their own, so each album gets its main
+ * artist's genres, looked up with one batch /artists call per page.
+ */
+exports.getSavedAlbums = async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit, 10) || 50;
+    const offset = parseInt(req.query.offset, 10) || 0;
+    
+    if (limit < 1 || limit > 50 || offset < 0) {
+      return res.status(400).json({ error: 'limit must be 1-50 and offset at least 0' });
+    }
+    
+    const page = await spotifyRequest({
+      url: '/me/albums',
+      token: req.spotify.token,
+      params: {
+        limit,
+        offset,
+        market: req.spotify.market
+      }
+    });
+    
+    const artistIds = [...new Set(page.items
+      .map(item => item.album.artists[0] && item.album.artists[0].id)
+      .filter(Boolean))];
+    
+    const genresByArtist = new Map();
+    if (artistIds.length > 0) {
+      const { artists } = await spotifyRequest({
+        url: '/artists',
+        token: req.spotify.token,
+        params: { ids: artistIds.join(',') }
       });
-      
-      // Log if preview URL is available
-      const hasPreview = !!response.data.preview_url;
-      console.log(`Track: ${response.data.name}`);
-      console.log(`Has preview URL: ${hasPreview}`);
-      
-      res.json(response.data);
-    } catch (error) {
-      console.error('Error getting track details:', error.message);
-      if (error.response) {
-        console.error('Spotify API response:', error.response.data);
+      artists.filter(Boolean).forEach(artist => genresByArtist.set(artist.id, artist.genres || []));
+    }
+    
+    res.json({
+      total: page.total,
+      offset,
+      next_offset: page.next ? offset + page.items.length : null,
+      items: page.items.map(({ added_at, album }) => {
+        const mainArtist = album.artists[0] || {};
+        return {
+          id: album.id,
+          name: album.name,
+          added_at,
+          release_date: album.release_date,
+          total_tracks: album.total_tracks,
+          images: album.images,
+          artists: album.artists.map(artist => ({ id: artist.id, name: artist.name })),
+          genres: album.genres && album.genres.length > 0
+            ? album.genres
+            : genresByArtist.get(mainArtist.id) || []
+        };
+      })
+    });
+  } catch (error) {
+    sendSpotifyError(res, error, 'Failed to get saved albums');
+  }
+};
+
+// Library item types, with the most ids Spotify accepts per call for each
+const LIBRARY_BATCH_SIZES = {
+  tracks: 50,
+  albums: 20
+};
+
+// Upper bound on concurrent library requests
+const MAX_LIBRARY_CONCURRENCY = 4;
+
+/**
+ * Validate the type and ids of a library request
+ * @param {string} type - 'tracks' or 'albums'
+ * @param {Array<string>} ids - Spotify ids
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateLibraryRequest = (type, ids) => {
+  if (!LIBRARY_BATCH_SIZES[type]) {
+    return `type must be one of ${Object.keys(LIBRARY_BATCH_SIZES).join(', ')}`;
+  }
+  if (!Array.isArray(ids) || ids.length === 0 || ids.some(id => typeof id !== 'string' || !id)) {
+    return 'ids must be a non-empty list of Spotify ids';
+  }
+  return null;
+};
+
+/**
+ * Run a library call for every batch of ids the endpoint accepts
+ * @param {string} type - 'tracks' or 'albums'
+ * @param {Array<string>} ids - Spotify ids
+ * @param {Function} fn - Called with each comma separated batch
+ * @returns {Promise<Array>} Batch results in order; rejects with the first failure
+ */
+const forEachLibraryBatch = async (type, ids, fn) => {
+  const results = await mapWithConcurrency(chunk(ids, LIBRARY_BATCH_SIZES[type]), MAX_LIBRARY_CONCURRENCY, batch =>
+    fn(batch.join(','))
+  );
+
+  const failed = results.find(result => result.status === 'rejected');
+  if (failed) throw failed.reason;
+
+  return results.map(result => result.value);
+};
+
+/**
+ * Check which tracks or albums are saved in the user's library
+ * Returns one boolean per id, in the order given
+ */
+exports.checkLibrary = async (req, res) => {
+  try {
+    const { type } = req.params;
+    // ?ids=a,b and ?ids=a&ids=b are both accepted
+    const ids = [].concat(req.query.ids || []).join(',').split(',').filter(Boolean);
+    const invalid = validateLibraryRequest(type, ids);
+
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const results = await forEachLibraryBatch(type, ids, batch =>
+      spotifyRequest({
+        url: `/me/${type}/contains`,
+        token: req.spotify.token,
+        params: { ids: batch }
+      })
+    );
+
+    res.json(results.flat());
+  } catch (error) {
+    sendSpotifyError(res, error, 'Failed to check library');
+  }
+};
+
+/**
+ * Save tracks or albums to the user's library
+ * Body: { ids: [...] }
+ */
+exports.saveToLibrary = async (req, res) => {
+  try {
+    const { type } = req.params;
+    const ids = req.body && req.body.ids;
+    const invalid = validateLibraryRequest(type, ids);
+
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    await forEachLibraryBatch(type, ids, batch =>
+      spotifyRequest({
+        url: `/me/${type}`,
+        method: 'put',
+        token: req.spotify.token,
+        params: { ids: batch }
+      })
+    );
+
+    res.json({ saved: true, ids });
+  } catch (error) {
+    sendSpotifyError(res, error, 'Failed to save to library');
+  }
+};
+
+/**
+ * Remove tracks or albums from the user's library
+ * Body: { ids: [...] }
+ */
+exports.removeFromLibrary = async (req, res) => {
+  try {
+    const { type } = req.params;
+    const ids = req.body && req.body.ids;
+    const invalid = validateLibraryRequest(type, ids);
+
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    await forEachLibraryBatch(type, ids, batch =>
+      spotifyRequest({
+        url: `/me/${type}`,
+        method: 'delete',
+        token: req.spotify.token,
+        params: { ids: batch }
+      })
+    );
+
+    res.json({ saved: false, ids });
+  } catch (error) {
+    sendSpotifyError(res, error, 'Failed to remove from library');
+  }
+};
+
+// Number of album covers that make up a playlist's mosaic
+const MOSAIC_SIZE = 4;
+
+/**
+ * Pick distinct album covers from a playlist's tracks for a 2x2 mosaic
+ * @param {Array} tracks - Playlist tracks
+ * @returns {Array<string>} Image URLs, empty when there aren't enough albums
+ */
+const buildMosaic = (tracks) => {
+  const covers = new Map();
+
+  for (const track of tracks) {
+    const image = track.album && track.album.images && track.album.images[0];
+    if (image && !covers.has(track.album.id)) {
+      covers.set(track.album.id, image.url);
+    }
+    if (covers.size === MOSAIC_SIZE) break;
+  }
+
+  return covers.size === MOSAIC_SIZE ? [...covers.values()] : [];
+};
+
+/**
+ * Get the logged-in user's own and followed playlists
+ */
+exports.getMyPlaylists = async (req, res) => {
+  try {
+    const playlists = await spotifyRequestAllPages({
+      url: '/me/playlists',
+      token: req.spotify.token,
+      params: { limit: 50 }
+    });
+
+    res.json(playlists.filter(Boolean).map(playlist => ({
+      id: playlist.id,
+      name: playlist.name,
+      owner: playlist.owner ? playlist.owner.display_name : null,
+      collaborative: playlist.collaborative,
+      total_tracks: playlist.tracks ? playlist.tracks.total : 0,
+      images: playlist.images || []
+    })));
+  } catch (error) {
+    sendSpotifyError(res, error, 'Failed to get playlists');
+  }
+};
+
+/**
+ * Get a playlist shaped like an album, so it can be loaded onto the turntable
+ * Every page of tracks is fetched; episodes and local files are left out
+ * because they can't be played through the Web API.
+ */
+exports.getPlaylistDetails = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const playlist = await spotifyRequest({
+      url: `/playlists/${id}`,
+      token: req.spotify.token,
+      params: {
+        market: req.spotify.market,
+        fields: 'id,name,description,owner(display_name),images,tracks(total)'
       }
-      res.status(500).json({ error: 'Failed to get track details' });
+    });
+
+    const items = await spotifyRequestAllPages({
+      url: `/playlists/${id}/tracks`,
+      token: req.spotify.token,
+      params: {
+        market: req.spotify.market,
+        limit: 100
+      }
+    });
+
+    const tracks = items
+      .map(item => item.track)
+      .filter(track => track && track.type === 'track' && !track.is_local);
+
+    console.log(`Playlist "${playlist.name}": ${tracks.length}/${playlist.tracks.total} playable tracks`);
+
+    res.json({
+      id: playlist.id,
+      name: playlist.name,
+      type: 'playlist',
+      description: playlist.description,
+      artists: [{ name: playlist.owner ? playlist.owner.display_name : 'Spotify' }],
+      images: playlist.images || [],
+      mosaic: buildMosaic(tracks),
+      total_tracks: tracks.length,
+      tracks: { items: tracks }
+    });
+  } catch (error) {
+    sendSpotifyError(res, error, 'Failed to get playlist');
+  }
+};
+
+/**
+ * Fallback shown when no source has previews
+ * This is a widely available preview URL that should work in most regions
+ */
+const TEST_PREVIEW_RESULT = {
+  name: 'Test Tracks',
+  artist: 'Spotify',
+  tracks_count: 1,
+  tracks_with_previews: 1,
+  tracks: [{
+    id: 'test1',
+    name: 'Test Track (guaranteed preview)',
+    preview_url: 'https://p.scdn.co/mp3-preview/6902e7da51d2f17e5369d57dadf8ce7d2a123f99'
+  }]
+};
+
+/**
+ * Read preview search options from the query string
+ * @param {Object} req - Express request
+ * @returns {Object} query, type and limit
+ */
+const getPreviewQuery = (req) => {
+  const { query = 'hits', type = 'track' } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 50);
+  return { query, type, limit };
+};
+
+/**
+ * Find tracks with previews available
+ */
+exports.findTracksWithPreviews = async (req, res) => {
+  try {
+    const { query, type, limit } = getPreviewQuery(req);
+    
+    console.log(`Searching for tracks with previews using query: "${query}"`);
+    
+    const results = await findPreviews({ query, limit, context: req.spotify });
+    
+    // If nothing found, create a test track with preview
+    if (results.length === 0) {
+      console.log('No results found with previews. Adding a test track.');
+      results.push(TEST_PREVIEW_RESULT);
+    }
+    
+    res.json({
+      query,
+      type,
+      total_results: results.length,
+      results
+    });
+  } catch (error) {
+    sendSpotifyError(res, error, 'Failed to find tracks with previews');
+  }
+};
+
+/**
+ * Stream tracks with previews as Server-Sent Events
+ * Sends a `result` event per album/playlist as soon as it resolves, then `done`
+ */
+exports.streamTracksWithPreviews = async (req, res) => {
+  const { query, limit } = getPreviewQuery(req);
+  
+  // Stop looking once the browser goes away
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+  
+  const send = (event, data) => {
+    if (!controller.signal.aborted) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+  
+  console.log(`Streaming tracks with previews for query: "${query}"`);
+  
+  try {
+    const results = await findPreviews({
+      query,
+      limit,
+      context: req.spotify,
+      signal: controller.signal,
+      onResult: result => send('result', result)
+    });
+    
+    if (results.length === 0) {
+      send('result', TEST_PREVIEW_RESULT);
     }
-  };
\ No newline at end of file
+    
+    send('done', { total_results: results.length || 1 });
+  } catch (error) {
+    console.error('Error streaming tracks with previews:', error.message);
+    send('error', { error: 'Failed to find tracks with previews' });
+  } finally {
+    res.end();
+  }
+};
@@ -0,0 +1,72 @@
+/**
+ * Response Caching Middleware
+ * Serves catalog responses from the shared cache and adds ETag/Cache-Control
+ * headers so the browser can revalidate instead of refetching.
+ */
+
+const { DEFAULT_MARKET } = require('../services/spotifyClient');
+
+/**
+ * Build the cache key for a request from its route and the query params it varies by
+ * @param {Object} req - Express request
+ * @param {Array<string>} vary - Query parameter names that change the response
+ * @returns {string} Cache key
+ */
+const buildCacheKey = (req, vary) => {
+  const parts = vary.map(name => {
+    // The market comes from the user's country when spotifyContext ran first
+    if (name === 'market') {
+      return `market=${req.spotify ? req.spotify.country : (req.query.market || DEFAULT_MARKET)}`;
+    }
+    return `${name}=${req.query[name] || ''}`;
+  });
+
+  return `${req.baseUrl}${req.path}?${parts.join('&')}`;
+};
+
+/**
+ * Set validation headers for a cached entry
+ * @param {Object} res - Express response
+ * @param {Object} entry - Cache entry
+ */
+const setCacheHeaders = (res, entry) => {
+  const maxAge = Math.max(Math.floor((entry.expiresAt - Date.now()) / 1000), 0);
+  res.set('ETag', entry.etag);
+  // The same URL answers with a different market once the user logs in
+  res.set('Cache-Control', `private, max-age=${maxAge}`);
+  res.vary('Cookie');
+};
+
+/**
+ * Create caching middleware for a catalog route
+ * Express answers 304 on its own when the ETag we set matches If-None-Match.
+ * @param {ResponseCache} cache - Cache to read from and write to
+ * @param {Object} [options] - Middleware options
+ * @param {Array<string>} [options.vary] - Query params that are part of the key
+ * @returns {Function} Express middleware
+ */
+const cacheResponse = (cache, { vary = ['market'] } = {}) => (req, res, next) => {
+  const key = buildCacheKey(req, vary);
+  const entry = cache.get(key);
+
+  if (entry) {
+    res.set('X-Cache', 'HIT');
+    setCacheHeaders(res, entry);
+    return res.json(entry.body);
+  }
+
+  res.set('X-Cache', 'MISS');
+
+  // Capture successful responses on their way out
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode === 200) {
+      setCacheHeaders(res, cache.set(key, body));
+    }
+    return sendJson(body);
+  };
+
+  next();
+};
+
+module.exports = cacheResponse;
@@ -0,0 +1,26 @@
+/**
+ * Admin Guard Middleware
+ * Protects maintenance routes with a shared token; they stay closed until
+ * ADMIN_TOKEN is set
+ */
+
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+
+/**
+ * Reject requests without a matching X-Admin-Token header
+ * Without ADMIN_TOKEN configured every request is rejected, so a default
+ * deployment never exposes them.
+ */
+const requireAdmin = (req, res, next) => {
+  if (!ADMIN_TOKEN) {
+    return res.status(403).json({ error: 'Admin routes are disabled until ADMIN_TOKEN is set' });
+  }
+
+  if (req.get('X-Admin-Token') !== ADMIN_TOKEN) {
+    return res.status(403).json({ error: 'Admin token required' });
+  }
+
+  next();
+};
+
+module.exports = requireAdmin;
@@ -0,0 +1,18 @@
+/**
+ * Logged-in User Guard Middleware
+ * Protects routes that read or change the user's own Spotify data
+ */
+
+/**
+ * Reject requests that spotifyContext couldn't attach a user token to
+ * Must run after spotifyContext.
+ */
+const requireUser = (req, res, next) => {
+  if (!req.spotify || !req.spotify.token) {
+    return res.status(401).json({ error: 'Log in with Spotify to use this feature' });
+  }
+
+  next();
+};
+
+module.exports = requireUser;
@@ -0,0 +1,76 @@
+/**
+ * Session Middleware
+ * Loads the server-side session named by an opaque httpOnly cookie and adds
+ * helpers to start, save and end it.
+ */
+
+const crypto = require('crypto');
+
+const SESSION_COOKIE = 'vinyl_session';
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+const cookieOptions = {
+  httpOnly: true,
+  // Lax still sends the cookie on the top-level redirect back from Spotify
+  sameSite: 'lax',
+  secure: process.env.NODE_ENV === 'production',
+  maxAge: SESSION_TTL_MS
+};
+
+/**
+ * Create session middleware backed by the given store
+ * @param {Object} store - Session store (see services/sessionStore.js)
+ * @returns {Function} Express middleware
+ */
+const session = (store) => async (req, res, next) => {
+  try {
+    const cookieId = req.cookies ? req.cookies[SESSION_COOKIE] : null;
+    const data = cookieId ? await store.get(cookieId) : null;
+
+    req.session = data;
+    req.sessionId = data ? cookieId : null;
+
+    /**
+     * Start a fresh session, replacing any existing one
+     * @param {Object} sessionData - Data to store
+     */
+    req.startSession = async (sessionData) => {
+      if (req.sessionId) {
+        await store.destroy(req.sessionId);
+      }
+
+      req.sessionId = crypto.randomBytes(32).toString('base64url');
+      req.session = sessionData;
+      await store.set(req.sessionId, sessionData, SESSION_TTL_MS);
+      res.cookie(SESSION_COOKIE, req.sessionId, cookieOptions);
+    };
+
+    /**
+     * Save changes made to req.session
+     */
+    req.saveSession = async () => {
+      if (req.sessionId) {
+        await store.set(req.sessionId, req.session, SESSION_TTL_MS);
+      }
+    };
+
+    /**
+     * Destroy the session and clear its cookie
+     */
+    req.endSession = async () => {
+      if (req.sessionId) {
+        await store.destroy(req.sessionId);
+      }
+
+      req.session = null;
+      req.sessionId = null;
+      res.clearCookie(SESSION_COOKIE, { ...cookieOptions, maxAge: undefined });
+    };
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = session;
@@ -0,0 +1,62 @@
+/**
+ * Spotify Request Context Middleware
+ * Decides which token and market a catalog request is proxied with.
+ * Logged-in users get their own token and market=from_token, so previews,
+ * is_playable and track relinking match what they can actually play.
+ */
+
+const { DEFAULT_MARKET, spotifyRequest } = require('../services/spotifyClient');
+const { getSessionAccessToken } = require('../services/spotifyAccounts');
+
+/**
+ * Look up and remember the user's country for sessions created without one
+ * @param {Object} req - Express request with a session
+ * @param {string} token - User access token
+ * @returns {Promise<string|null>} ISO country code
+ */
+const getSessionCountry = async (req, token) => {
+  if (!req.session.country) {
+    const profile = await spotifyRequest({ url: '/me', token });
+    req.session.country = profile.country;
+    req.session.userId = profile.id;
+    await req.saveSession();
+  }
+
+  return req.session.country;
+};
+
+/**
+ * Attach req.spotify = { token, market, country }
+ * - token: user token, or undefined for the app's client credentials token
+ * - market: value to send to Spotify ('from_token' for users)
+ * - country: concrete market, used for cache keys and country-only endpoints
+ */
+const spotifyContext = async (req, res, next) => {
+  const requestedMarket = (req.query.market || DEFAULT_MARKET).toUpperCase();
+
+  try {
+    const token = await getSessionAccessToken(req);
+
+    if (token) {
+      const country = await getSessionCountry(req, token);
+      req.spotify = {
+        token,
+        market: 'from_token',
+        country: country || requestedMarket
+      };
+      return next();
+    }
+  } catch (error) {
+    // Fall back to anonymous catalog access rather than failing the request
+    console.error('Could not use the session token for catalog request:', error.message);
+  }
+
+  req.spotify = {
+    token: undefined,
+    market: requestedMarket,
+    country: requestedMarket
+  };
+  next();
+};
+
+module.exports = spotifyContext;
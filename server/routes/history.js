@@ -0,0 +1,26 @@
+/**
+ * Listening History Routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const historyController = require('../controllers/history');
+const requireUser = require('../middleware/requireUser');
+const spotifyContext = require('../middleware/spotifyContext');
+
+// History is kept per Spotify user; spotifyContext fills in the user id for older sessions
+router.use(spotifyContext, requireUser);
+
+// List history, newest first (?limit, ?offset)
+router.get('/', historyController.listHistory);
+
+// Record a played track
+router.post('/', historyController.appendHistory);
+
+// Remove one entry
+router.delete('/:id', historyController.deleteHistoryEntry);
+
+// Clear all history
+router.delete('/', historyController.clearHistory);
+
+module.exports = router;
@@ -5,23 +5,63 @@
 const express = require('express');
 const router = express.Router();
 const spotifyController = require('../controllers/spotify');
+const cacheController = require('../controllers/cache');
+const cacheResponse = require('../middleware/cacheResponse');
+const requireAdmin = require('../middleware/requireAdmin');
+const requireUser = require('../middleware/requireUser');
+const spotifyContext = require('../middleware/spotifyContext');
+const { catalogCache } = require('../services/responseCache');
+
+// Use the logged-in user's token and market when there is one
+router.use(spotifyContext);
 
 // GET token for client
 router.get('/token', spotifyController.getToken);
 
+// Search artists, albums, tracks and playlists
+router.get('/search', spotifyController.search);
+
 // Search for an artist
 router.get('/artist', spotifyController.searchArtist);
 
+// Get an artist's profile, top tracks and related artists by artist ID
+router.get('/artist/:id', cacheResponse(catalogCache), spotifyController.getArtist);
+router.get('/artist/:id/top-tracks', cacheResponse(catalogCache), spotifyController.getArtistTopTracks);
+router.get('/artist/:id/related', cacheResponse(catalogCache), spotifyController.getRelatedArtists);
+
 // Get albums by artist ID
-router.get('/artist/:id/albums', spotifyController.getArtistAlbums);
+router.get(
+  '/artist/:id/albums',
+  cacheResponse(catalogCache, { vary: ['market', 'include_groups', 'sort', 'order', 'edition'] }),
+  spotifyController.getArtistAlbums
+);
 
 // Get album details by album ID
-router.get('/album/:id', spotifyController.getAlbumDetails);
+router.get('/album/:id', cacheResponse(catalogCache), spotifyController.getAlbumDetails);
 
 // Get track details by track ID
-router.get('/track/:id', spotifyController.getTrackDetails);
+router.get('/track/:id', cacheResponse(catalogCache), spotifyController.getTrackDetails);
+
+// The logged-in user's playlists, and a playlist shaped like an album
+router.get('/me/playlists', requireUser, spotifyController.getMyPlaylists);
+router.get('/playlist/:id', requireUser, spotifyController.getPlaylistDetails);
+
+// A page of the user's saved albums for the record crate
+router.get('/me/albums', requireUser, spotifyController.getSavedAlbums);
+
+// Saved tracks and albums: check, save and remove (type is tracks or albums)
+router.get('/me/library/:type/contains', requireUser, spotifyController.checkLibrary);
+router.put('/me/library/:type', requireUser, spotifyController.saveToLibrary);
+router.delete('/me/library/:type', requireUser, spotifyController.removeFromLibrary);
 
 // Find tracks with previews available
 router.get('/find-previews', spotifyController.findTracksWithPreviews);
 
+// Stream tracks with previews as they are found (Server-Sent Events)
+router.get('/find-previews/stream', spotifyController.streamTracksWithPreviews);
+
+// Catalog cache stats and purging
+router.get('/cache', requireAdmin, cacheController.getCacheStats);
+router.delete('/cache', requireAdmin, cacheController.purgeCache);
+
 module.exports = router;
\ No newline at end of file
@@ -7,21 +7,35 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
+const crypto = require('crypto');
 const cookieParser = require('cookie-parser');
 require('dotenv').config();
 
+// Import session handling
+const session = require('./middleware/session');
+const { createSessionStore } = require('./services/sessionStore');
+
 // Import routes
 const spotifyRoutes = require('./routes/spotify');
 const authRoutes = require('./routes/auth');
+const historyRoutes = require('./routes/history');
+const authController = require('./controllers/auth');
 
 // Initialize express app
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Secret for signed cookies (OAuth state); a random one only lasts until restart
+const COOKIE_SECRET = process.env.COOKIE_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.COOKIE_SECRET) {
+  console.warn('COOKIE_SECRET is not set; using a random secret for this run');
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
-app.use(cookieParser());
+app.use(cookieParser(COOKIE_SECRET));
+app.use(session(createSessionStore()));
 
 // Static files
 app.use(express.static(path.join(__dirname, '../public')));
@@ -29,11 +43,10 @@ app.use(express.static(path.join(__dirname, '../public')));
 // API routes
 app.use('/api/spotify', spotifyRoutes);
 app.use('/auth', authRoutes);
+app.use('/api/history', historyRoutes);
 
-// Callback route for Spotify OAuth
-app.get('/callback', (req, res) => {
-  res.sendFile(path.join(__dirname, '../public/index.html'));
-});
+// Callback route for Spotify OAuth (the default REDIRECT_URI)
+app.get('/callback', authController.callback);
 
 // Serve the main HTML file for all other routes
 app.get('*', (req, res) => {
@@ -0,0 +1,246 @@
+/**
+ * Album Editions
+ * Spotify lists every edition of a record as its own album: remasters, deluxe
+ * and anniversary editions, explicit and clean versions, and the same release
+ * listed twice. This groups the editions of each record, comparing titles
+ * without their edition suffixes, UPCs, release years and track counts, and
+ * keeps the one the listener prefers.
+ */
+
+const { spotifyRequest } = require('./spotifyClient');
+const { mapWithConcurrency, chunk } = require('../utils/async');
+
+// Which edition of a record to show
+const EDITION_PREFERENCES = ['original', 'deluxe', 'clean'];
+
+// The /albums endpoint accepts up to 20 ids per call
+const ALBUM_BATCH_SIZE = 20;
+
+// Upper bound on concurrent Spotify requests
+const MAX_CONCURRENCY = 4;
+
+// A title suffix with one of these words names an edition rather than the record
+const EDITION_WORDS = /\b(remaster(ed)?|deluxe|expanded|anniversary|edition|version|bonus|reissue|explicit|clean|special|collector'?s|legacy|super|mono|stereo|mix)\b/i;
+
+// Editions that add tracks to the record
+const DELUXE_WORDS = /\b(deluxe|expanded|anniversary|bonus|special|collector'?s|legacy|super)\b/i;
+
+// "(Remastered 2011)", "[Deluxe Edition]" or " - 2019 Mix" at the end of a title
+const BRACKET_SUFFIX = /\s*[([]([^()[\]]*)[)\]]\s*$/;
+const DASH_SUFFIX = /\s+[-–—]\s+([^-–—]+)$/;
+
+/**
+ * Split an album title into the record's name and its edition suffixes
+ * @param {string} title - Album name
+ * @returns {Object} { name, suffixes }
+ */
+const splitTitle = (title) => {
+  let name = title.trim();
+  const suffixes = [];
+
+  for (;;) {
+    const match = name.match(BRACKET_SUFFIX) || name.match(DASH_SUFFIX);
+    if (!match || !EDITION_WORDS.test(match[1])) break;
+
+    suffixes.push(match[1]);
+    name = name.slice(0, match.index).trim();
+  }
+
+  return { name, suffixes };
+};
+
+/**
+ * Reduce a title to what all editions of the record share
+ * "Abbey Road (Remastered 2009)" and "Abbey Road - 2019 Mix" both give "abbey road".
+ * @param {string} title - Album name
+ * @returns {string} Normalized title
+ */
+const normalizeTitle = (title) => {
+  const { name } = splitTitle(title);
+  const normalized = name
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+
+  // Titles made only of symbols are compared as they are
+  return normalized || name.toLowerCase();
+};
+
+/**
+ * Fetch full albums for their UPCs and explicit flags
+ * Batches that fail are left out; their albums are grouped on titles and dates alone.
+ * @param {Array<string>} ids - Album ids
+ * @param {Object} options - { token, market }
+ * @returns {Promise<Map>} Full albums by id
+ */
+const fetchAlbumDetails = async (ids, { token, market }) => {
+  const results = await mapWithConcurrency(chunk(ids, ALBUM_BATCH_SIZE), MAX_CONCURRENCY, batch =>
+    spotifyRequest({ url: '/albums', token, params: { ids: batch.join(','), market } })
+  );
+
+  const details = new Map();
+  results.forEach(result => {
+    if (result.status === 'rejected') {
+      console.error('Album details for editions failed:', result.reason.message);
+      return;
+    }
+    result.value.albums.filter(Boolean).forEach(album => details.set(album.id, album));
+  });
+
+  return details;
+};
+
+/**
+ * Describe what sets an album apart from its other editions
+ * @param {Object} album - Simplified album
+ * @param {Object} [details] - Full album, when it could be fetched
+ * @returns {Object} Edition facts
+ */
+const describeEdition = (album, details) => {
+  const { suffixes } = splitTitle(album.name);
+
+  return {
+    title: normalizeTitle(album.name),
+    year: (album.release_date || '').slice(0, 4),
+    upc: details && details.external_ids ? details.external_ids.upc || null : null,
+    explicit: details ? details.tracks.items.some(track => track.explicit) : null,
+    marked: suffixes.length > 0,
+    deluxe: suffixes.some(suffix => DELUXE_WORDS.test(suffix))
+  };
+};
+
+/**
+ * Find the record an album is an edition of
+ * The same UPC is the same release listed twice. An explicit/clean pair or a
+ * duplicate listing comes out the same year with the same tracks, while a
+ * reissue says so in its title and belongs to the earliest record it can
+ * expand on. Same-titled albums that fit none of these (self-titled records
+ * years apart) stay separate.
+ * @param {Array} records - Records found so far, each a list of editions
+ * @param {Object} album - Album with its edition facts
+ * @returns {Array|undefined} Matching record
+ */
+const findRecord = (records, album) => {
+  const { edition } = album;
+
+  const sameUpc = records.find(record =>
+    edition.upc && record.some(other => other.edition.upc === edition.upc)
+  );
+  if (sameUpc) return sameUpc;
+
+  if (edition.marked) {
+    return records.find(([original]) =>
+      original.edition.year <= edition.year && original.total_tracks <= album.total_tracks
+    );
+  }
+
+  return records.find(([original]) =>
+    original.edition.year === edition.year && (
+      original.total_tracks === album.total_tracks ||
+      (original.edition.explicit !== null && edition.explicit !== null && original.edition.explicit !== edition.explicit)
+    )
+  );
+};
+
+/**
+ * Rank an explicit flag: explicit, then unknown, then clean
+ * @param {boolean|null} explicit - Whether any track is explicit
+ * @returns {number} Rank, lower first
+ */
+const explicitRank = (explicit) => (explicit === true ? 0 : explicit === null ? 1 : 2);
+
+/**
+ * Order editions from most to least original
+ * Editions without an edition suffix come first; ties go to the earlier
+ * release date, then to fewer tracks, then explicit before unknown before clean.
+ * @param {Object} a - Album with its edition facts
+ * @param {Object} b - Album with its edition facts
+ * @returns {number} Sort order
+ */
+const compareOriginal = (a, b) =>
+  Number(a.edition.marked) - Number(b.edition.marked) ||
+  (a.release_date || '').localeCompare(b.release_date || '') ||
+  a.total_tracks - b.total_tracks ||
+  explicitRank(a.edition.explicit) - explicitRank(b.edition.explicit);
+
+// How each preference orders a record's editions
+const EDITION_ORDERS = {
+  original: compareOriginal,
+  deluxe: (a, b) =>
+    b.total_tracks - a.total_tracks ||
+    Number(b.edition.deluxe) - Number(a.edition.deluxe) ||
+    explicitRank(a.edition.explicit) - explicitRank(b.edition.explicit) ||
+    compareOriginal(a, b),
+  clean: (a, b) =>
+    explicitRank(b.edition.explicit) - explicitRank(a.edition.explicit) ||
+    compareOriginal(a, b)
+};
+
+/**
+ * Shape an edition for the client
+ * @param {Object} album - Album with its edition facts
+ * @returns {Object} Edition summary
+ */
+const toEditionSummary = (album) => ({
+  id: album.id,
+  name: album.name,
+  release_date: album.release_date,
+  total_tracks: album.total_tracks,
+  explicit: album.edition.explicit
+});
+
+/**
+ * Group an artist's albums into records and keep the preferred edition of each
+ * @param {Array} albums - Simplified albums from /artists/{id}/albums
+ * @param {Object} options - { preference, token, market }
+ * @returns {Promise<Array>} One album per record, each listing all its editions
+ */
+const groupEditions = async (albums, { preference = 'original', token, market }) => {
+  const details = await fetchAlbumDetails(albums.map(album => album.id), { token, market });
+
+  // Albums only share a record within a release type and under the same title
+  const candidates = new Map();
+  albums.forEach(album => {
+    const described = { ...album, edition: describeEdition(album, details.get(album.id)) };
+    const key = `${album.album_group || album.album_type}:${described.edition.title}`;
+    if (!candidates.has(key)) candidates.set(key, []);
+    candidates.get(key).push(described);
+  });
+
+  const records = [];
+  candidates.forEach(group => {
+    const found = [];
+
+    // Oldest first, so originals are in place before their reissues look for them
+    [...group].sort(compareOriginal).forEach(album => {
+      const record = findRecord(found, album);
+      if (record) {
+        record.push(album);
+      } else {
+        found.push([album]);
+      }
+    });
+
+    records.push(...found);
+  });
+
+  return records.map(editions => {
+    const [chosen] = [...editions].sort(EDITION_ORDERS[preference]);
+    const { edition, ...album } = chosen;
+
+    return {
+      ...album,
+      explicit: edition.explicit,
+      editions: [...editions].sort(compareOriginal).map(toEditionSummary)
+    };
+  });
+};
+
+module.exports = {
+  EDITION_PREFERENCES,
+  normalizeTitle,
+  groupEditions
+};
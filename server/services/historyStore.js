@@ -0,0 +1,136 @@
+/**
+ * Listening History Store
+ * Keeps each user's played tracks in a JSON file, keyed by Spotify user id.
+ * Entries are stored newest first and capped per user.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_HISTORY_FILE = path.join(__dirname, '../../data/history.json');
+const DEFAULT_MAX_ENTRIES = parseInt(process.env.HISTORY_MAX_ENTRIES, 10) || 1000;
+
+class HistoryStore {
+  /**
+   * @param {Object} [options] - Store options
+   * @param {string} [options.filePath] - Where to keep the history file
+   * @param {number} [options.maxEntries] - Entries kept per user; older ones are dropped
+   */
+  constructor({ filePath = DEFAULT_HISTORY_FILE, maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    this.filePath = filePath;
+    this.maxEntries = maxEntries;
+    this.users = new Map();
+    this.writeQueue = Promise.resolve();
+    this.load();
+  }
+
+  /**
+   * Read existing history from disk
+   */
+  load() {
+    try {
+      const users = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      Object.entries(users).forEach(([userId, entries]) => this.users.set(userId, entries));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error reading history file, starting empty:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Write all history to disk via a temp file and rename
+   * Writes are queued so concurrent requests never interleave on disk.
+   * @returns {Promise<void>}
+   */
+  persist() {
+    this.writeQueue = this.writeQueue
+      .then(async () => {
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(tempPath, JSON.stringify(Object.fromEntries(this.users)), { mode: 0o600 });
+        await fs.promises.rename(tempPath, this.filePath);
+      })
+      .catch(error => {
+        console.error('Error writing history file:', error.message);
+      });
+
+    return this.writeQueue;
+  }
+
+  /**
+   * Get a page of a user's history, newest first
+   * @param {string} userId - Spotify user id
+   * @param {Object} [page] - offset and limit
+   * @returns {Promise<Object>} { items, total }
+   */
+  async list(userId, { offset = 0, limit = 20 } = {}) {
+    const entries = this.users.get(userId) || [];
+    return {
+      items: entries.slice(offset, offset + limit),
+      total: entries.length
+    };
+  }
+
+  /**
+   * Record a play
+   * @param {string} userId - Spotify user id
+   * @param {Object} play - { track, album, context }
+   * @returns {Promise<Object>} Stored entry
+   */
+  async append(userId, play) {
+    const entry = {
+      id: crypto.randomBytes(8).toString('hex'),
+      played_at: new Date().toISOString(),
+      ...play
+    };
+
+    const entries = [entry, ...(this.users.get(userId) || [])].slice(0, this.maxEntries);
+    this.users.set(userId, entries);
+    await this.persist();
+
+    return entry;
+  }
+
+  /**
+   * Remove one entry
+   * @param {string} userId - Spotify user id
+   * @param {string} entryId - Entry id
+   * @returns {Promise<boolean>} Whether the entry existed
+   */
+  async remove(userId, entryId) {
+    const entries = this.users.get(userId) || [];
+    const remaining = entries.filter(entry => entry.id !== entryId);
+
+    if (remaining.length === entries.length) {
+      return false;
+    }
+
+    this.users.set(userId, remaining);
+    await this.persist();
+    return true;
+  }
+
+  /**
+   * Remove all of a user's history
+   * @param {string} userId - Spotify user id
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async clear(userId) {
+    const count = (this.users.get(userId) || []).length;
+    this.users.delete(userId);
+    await this.persist();
+    return count;
+  }
+}
+
+// Shared store used by the history routes
+const historyStore = new HistoryStore({
+  filePath: process.env.HISTORY_FILE || DEFAULT_HISTORY_FILE
+});
+
+module.exports = {
+  HistoryStore,
+  historyStore
+};
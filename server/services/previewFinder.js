@@ -0,0 +1,245 @@
+/**
+ * Preview Finder
+ * Discovers tracks with 30-second previews from featured playlists, search
+ * and new releases. Sources are fetched in parallel, album tracks are looked
+ * up through the batch /tracks endpoint, and each result is reported as soon
+ * as its source resolves.
+ */
+
+const { spotifyRequest } = require('./spotifyClient');
+const { mapWithConcurrency, chunk } = require('../utils/async');
+
+// How many albums/playlists to inspect per source, and tracks per album
+const ITEMS_PER_SOURCE = 3;
+const TRACKS_PER_ALBUM = 10;
+const TRACKS_PER_PLAYLIST = 10;
+
+// Upper bound on concurrent Spotify requests per source
+const MAX_CONCURRENCY = 4;
+
+// The /tracks endpoint accepts up to 50 ids per call
+const TRACK_BATCH_SIZE = 50;
+
+/**
+ * Shape a track for the client
+ * @param {Object} track - Spotify track object
+ * @returns {Object} Track summary
+ */
+const toPreviewTrack = (track) => ({
+  id: track.id,
+  name: track.name,
+  preview_url: track.preview_url,
+  duration_ms: track.duration_ms,
+  artists: (track.artists || []).map(artist => ({ id: artist.id, name: artist.name }))
+});
+
+/**
+ * Find tracks with previews, reporting each result as it is found
+ * @param {Object} options - Search options
+ * @param {string} options.query - Search query
+ * @param {number} options.limit - Search result limit
+ * @param {Object} options.context - req.spotify (token, market, country)
+ * @param {Function} [options.onResult] - Called with each result as it's ready
+ * @param {AbortSignal} [options.signal] - Cancels the Spotify requests and stops reporting when aborted
+ * @returns {Promise<Array>} All results
+ */
+const findPreviews = async ({ query, limit, context, onResult = () => {}, signal }) => {
+  const { token, market, country } = context;
+  const results = [];
+
+  // De-duplicate across sources: an album or track is only reported once
+  const seenAlbums = new Set();
+  const seenTracks = new Set();
+
+  const aborted = () => signal && signal.aborted;
+
+  const report = (result) => {
+    if (aborted() || result.tracks.length === 0) return;
+    results.push(result);
+    onResult(result);
+  };
+
+  /**
+   * Keep tracks that have a preview and haven't been reported yet
+   * @param {Array} tracks - Full track objects
+   * @returns {Array} Track summaries
+   */
+  const takeNewPreviews = (tracks) => tracks
+    .filter(track => track && track.preview_url && !seenTracks.has(track.id))
+    .map(track => {
+      seenTracks.add(track.id);
+      return toPreviewTrack(track);
+    });
+
+  /**
+   * Fetch full track objects for many ids using the batch endpoint
+   * @param {Array<string>} ids - Track ids
+   * @returns {Promise<Map>} Track id to track object
+   */
+  const fetchTracks = async (ids) => {
+    const byId = new Map();
+    const batches = await mapWithConcurrency(chunk(ids, TRACK_BATCH_SIZE), MAX_CONCURRENCY, batch =>
+      spotifyRequest({
+        url: '/tracks',
+        token,
+        params: { ids: batch.join(','), market },
+        signal
+      })
+    );
+
+    batches.forEach(batch => {
+      if (batch.status === 'rejected') {
+        console.error('Error fetching track batch:', batch.reason.message);
+        return;
+      }
+      batch.value.tracks.filter(Boolean).forEach(track => byId.set(track.id, track));
+    });
+
+    return byId;
+  };
+
+  /**
+   * Report albums whose tracks have previews
+   * Simplified album tracks don't reliably carry preview_url, so the
+   * full tracks are looked up in one batch for all albums of the source.
+   * @param {Array} albums - Simplified album objects
+   */
+  const processAlbums = async (albums) => {
+    if (aborted()) return;
+
+    const newAlbums = albums
+      .filter(album => album && !seenAlbums.has(album.id))
+      .slice(0, ITEMS_PER_SOURCE);
+    newAlbums.forEach(album => seenAlbums.add(album.id));
+
+    const albumTracks = await mapWithConcurrency(newAlbums, MAX_CONCURRENCY, album =>
+      spotifyRequest({
+        url: `/albums/${album.id}/tracks`,
+        token,
+        params: { limit: TRACKS_PER_ALBUM, market },
+        signal
+      })
+    );
+    if (aborted()) return;
+
+    const trackIds = new Set();
+    albumTracks.forEach((page, index) => {
+      if (page.status === 'rejected') {
+        console.error(`Error fetching album ${newAlbums[index].id}:`, page.reason.message);
+        return;
+      }
+      page.value.items.forEach(track => trackIds.add(track.id));
+    });
+
+    const tracksById = await fetchTracks([...trackIds]);
+
+    newAlbums.forEach((album, index) => {
+      const page = albumTracks[index];
+      if (page.status === 'rejected') return;
+
+      const tracks = takeNewPreviews(page.value.items.map(track => tracksById.get(track.id)));
+      console.log(`Album "${album.name}": ${tracks.length}/${page.value.items.length} tracks have previews`);
+
+      report({
+        id: album.id,
+        name: album.name,
+        artist: album.artists[0].name,
+        tracks_count: page.value.items.length,
+        tracks_with_previews: tracks.length,
+        image: album.images[0]?.url,
+        type: 'album',
+        tracks
+      });
+    });
+  };
+
+  /**
+   * Report playlists whose tracks have previews
+   * @param {Array} playlists - Simplified playlist objects
+   */
+  const processPlaylists = async (playlists) => {
+    if (aborted()) return;
+
+    await mapWithConcurrency(playlists.filter(Boolean).slice(0, ITEMS_PER_SOURCE), MAX_CONCURRENCY, async playlist => {
+      try {
+        const page = await spotifyRequest({
+          url: `/playlists/${playlist.id}/tracks`,
+          token,
+          params: { limit: TRACKS_PER_PLAYLIST, market },
+          signal
+        });
+
+        const tracks = takeNewPreviews(page.items.map(item => item.track));
+        console.log(`Playlist "${playlist.name}": ${tracks.length}/${page.items.length} tracks have previews`);
+
+        report({
+          id: playlist.id,
+          name: playlist.name,
+          artist: 'Spotify Playlist',
+          tracks_count: page.items.length,
+          tracks_with_previews: tracks.length,
+          image: playlist.images[0]?.url,
+          type: 'playlist',
+          tracks
+        });
+      } catch (error) {
+        if (!aborted()) console.error(`Error fetching playlist ${playlist.id}:`, error.message);
+      }
+    });
+  };
+
+  // Start every source at once and process each as soon as it arrives
+  const featured = spotifyRequest({
+    url: '/browse/featured-playlists',
+    token,
+    params: { limit: 5, country },
+    signal
+  }).then(data => processPlaylists(data?.playlists?.items || []));
+
+  const search = spotifyRequest({
+    url: '/search',
+    token,
+    params: { q: query, type: 'album,track', limit, market },
+    signal
+  }).then(async data => {
+    console.log(
+      `Search returned ${data.tracks?.items?.length || 0} tracks and ${data.albums?.items?.length || 0} albums`
+    );
+
+    // Search tracks are full objects, so they need no extra lookups
+    const tracks = takeNewPreviews(data.tracks?.items || []);
+    report({
+      name: 'Tracks with Previews',
+      artist: 'Various Artists',
+      image: data.tracks?.items?.find(track => track.preview_url)?.album.images[0]?.url,
+      tracks_count: tracks.length,
+      tracks_with_previews: tracks.length,
+      type: 'tracks',
+      tracks
+    });
+
+    await processAlbums(data.albums?.items || []);
+  });
+
+  const newReleases = spotifyRequest({
+    url: '/browse/new-releases',
+    token,
+    params: { limit: 5, country },
+    signal
+  }).then(data => processAlbums(data?.albums?.items || []));
+
+  const sources = await Promise.allSettled([featured, search, newReleases]);
+  ['featured playlists', 'search', 'new releases'].forEach((name, index) => {
+    if (sources[index].status === 'rejected' && !aborted()) {
+      console.error(`Error fetching ${name}:`, sources[index].reason.message);
+    }
+  });
+
+  console.log(`Total: Found ${results.length} sources with previews available`);
+
+  return results;
+};
+
+module.exports = {
+  findPreviews
+};
@@ -0,0 +1,140 @@
+/**
+ * Response Cache
+ * In-memory LRU cache with per-entry TTL for Spotify catalog responses
+ */
+
+const crypto = require('crypto');
+
+// Cache settings (overridable from .env)
+const DEFAULT_TTL_SECONDS = parseInt(process.env.CACHE_TTL_SECONDS, 10) || 3600;
+const DEFAULT_MAX_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 500;
+
+/**
+ * LRU cache with expiry
+ * A Map keeps insertion order, so re-inserting on read moves an entry to the
+ * most recently used end and the first key is always the eviction candidate.
+ */
+class ResponseCache {
+  /**
+   * @param {Object} [options] - Cache options
+   * @param {number} [options.ttlSeconds] - Time to live for each entry
+   * @param {number} [options.maxEntries] - Maximum number of entries kept
+   */
+  constructor({ ttlSeconds = DEFAULT_TTL_SECONDS, maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    this.ttlSeconds = ttlSeconds;
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+  }
+
+  /**
+   * Look up a live entry and mark it as recently used
+   * @param {string} key - Cache key
+   * @returns {Object|null} Entry with body, etag and expiresAt
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      this.misses++;
+      return null;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      this.misses++;
+      return null;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.hits++;
+    return entry;
+  }
+
+  /**
+   * Store a response body
+   * @param {string} key - Cache key
+   * @param {Object} body - JSON-serialisable response body
+   * @returns {Object} The stored entry
+   */
+  set(key, body) {
+    const json = JSON.stringify(body);
+    const now = Date.now();
+    const entry = {
+      body,
+      etag: `"${crypto.createHash('sha1').update(json).digest('base64')}"`,
+      size: Buffer.byteLength(json),
+      storedAt: now,
+      expiresAt: now + this.ttlSeconds * 1000
+    };
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+      this.evictions++;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Remove entries, either all of them or those whose key starts with a prefix
+   * @param {string} [prefix] - Optional key prefix
+   * @returns {number} Number of entries removed
+   */
+  purge(prefix) {
+    if (!prefix) {
+      const count = this.entries.size;
+      this.entries.clear();
+      return count;
+    }
+
+    let count = 0;
+    for (const key of [...this.entries.keys()]) {
+      if (key.startsWith(prefix)) {
+        this.entries.delete(key);
+        count++;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Get cache statistics
+   * @returns {Object} Stats including hit rate and per-entry expiry
+   */
+  stats() {
+    const now = Date.now();
+    const lookups = this.hits + this.misses;
+
+    return {
+      size: this.entries.size,
+      maxEntries: this.maxEntries,
+      ttlSeconds: this.ttlSeconds,
+      hits: this.hits,
+      misses: this.misses,
+      evictions: this.evictions,
+      hitRate: lookups ? Number((this.hits / lookups).toFixed(3)) : 0,
+      entries: [...this.entries.entries()].map(([key, entry]) => ({
+        key,
+        bytes: entry.size,
+        ageSeconds: Math.floor((now - entry.storedAt) / 1000),
+        expiresInSeconds: Math.max(Math.ceil((entry.expiresAt - now) / 1000), 0)
+      }))
+    };
+  }
+}
+
+// Shared cache for album, artist album and track lookups
+const catalogCache = new ResponseCache();
+
+module.exports = {
+  ResponseCache,
+  catalogCache
+};
@@ -0,0 +1,165 @@
+/**
+ * Session Stores
+ * Server-side storage for user sessions, keyed by the opaque session cookie.
+ * Every store implements the same async interface: get, set, destroy.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_SESSION_FILE = path.join(__dirname, '../../data/sessions.json');
+
+// How often expired sessions that nobody reads again are cleared out
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * Keeps sessions in process memory (lost on restart)
+ */
+class MemorySessionStore {
+  constructor() {
+    this.sessions = new Map();
+    this.lastSweep = Date.now();
+  }
+
+  /**
+   * Drop expired sessions, at most once per sweep interval
+   * Expired sessions are otherwise only removed when they're read again.
+   */
+  sweep() {
+    const now = Date.now();
+    if (now - this.lastSweep < SWEEP_INTERVAL_MS) return;
+
+    this.lastSweep = now;
+    this.sessions.forEach((record, id) => {
+      if (record.expiresAt <= now) {
+        this.sessions.delete(id);
+      }
+    });
+  }
+
+  /**
+   * Get a session if it exists and hasn't expired
+   * @param {string} id - Session id
+   * @returns {Promise<Object|null>} Session data
+   */
+  async get(id) {
+    this.sweep();
+
+    const record = this.sessions.get(id);
+    if (!record) return null;
+
+    if (record.expiresAt <= Date.now()) {
+      this.sessions.delete(id);
+      return null;
+    }
+
+    return record.data;
+  }
+
+  /**
+   * Create or replace a session
+   * @param {string} id - Session id
+   * @param {Object} data - Session data
+   * @param {number} ttlMs - Time to live in milliseconds
+   */
+  async set(id, data, ttlMs) {
+    this.sessions.set(id, { data, expiresAt: Date.now() + ttlMs });
+  }
+
+  /**
+   * Remove a session
+   * @param {string} id - Session id
+   */
+  async destroy(id) {
+    this.sessions.delete(id);
+  }
+}
+
+/**
+ * Keeps sessions in a JSON file so they survive restarts
+ * Writes are queued so concurrent requests never interleave on disk.
+ */
+class FileSessionStore extends MemorySessionStore {
+  /**
+   * @param {string} [filePath] - Where to keep the sessions file
+   */
+  constructor(filePath = DEFAULT_SESSION_FILE) {
+    super();
+    this.filePath = filePath;
+    this.writeQueue = Promise.resolve();
+    this.load();
+  }
+
+  /**
+   * Read existing sessions from disk, dropping expired ones
+   */
+  load() {
+    try {
+      const records = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      const now = Date.now();
+
+      Object.entries(records).forEach(([id, record]) => {
+        if (record.expiresAt > now) {
+          this.sessions.set(id, record);
+        }
+      });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error reading session file, starting empty:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Write all sessions to disk via a temp file and rename
+   * @returns {Promise<void>}
+   */
+  persist() {
+    this.writeQueue = this.writeQueue
+      .then(async () => {
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(tempPath, JSON.stringify(Object.fromEntries(this.sessions)), { mode: 0o600 });
+        await fs.promises.rename(tempPath, this.filePath);
+      })
+      .catch(error => {
+        console.error('Error writing session file:', error.message);
+      });
+
+    return this.writeQueue;
+  }
+
+  async set(id, data, ttlMs) {
+    await super.set(id, data, ttlMs);
+    await this.persist();
+  }
+
+  async destroy(id) {
+    await super.destroy(id);
+    await this.persist();
+  }
+}
+
+/**
+ * Create the session store selected by SESSION_STORE (memory or file)
+ * @returns {MemorySessionStore|FileSessionStore}
+ */
+const createSessionStore = () => {
+  const type = process.env.SESSION_STORE || 'memory';
+
+  if (type === 'file') {
+    return new FileSessionStore(process.env.SESSION_FILE || DEFAULT_SESSION_FILE);
+  }
+
+  if (type !== 'memory') {
+    console.warn(`Unknown SESSION_STORE "${type}", using memory`);
+  }
+
+  return new MemorySessionStore();
+};
+
+module.exports = {
+  MemorySessionStore,
+  FileSessionStore,
+  createSessionStore
+};
@@ -0,0 +1,174 @@
+/**
+ * Spotify Accounts Service
+ * Token exchange and refresh for logged-in users, and access to the
+ * tokens kept in their server-side session.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const { REQUEST_TIMEOUT_MS } = require('./spotifyClient');
+
+// Spotify API credentials
+const CLIENT_ID = process.env.CLIENT_ID;
+const CLIENT_SECRET = process.env.CLIENT_SECRET;
+const REDIRECT_URI = process.env.REDIRECT_URI || 'http://localhost:3000/callback';
+
+const TOKEN_URL = 'https://accounts.spotify.com/api/token';
+
+// 'pkce' needs no client secret; 'code' is the classic client-secret flow
+const AUTH_FLOW = process.env.SPOTIFY_AUTH_FLOW || (CLIENT_SECRET ? 'code' : 'pkce');
+
+// Refresh a little before Spotify's expiry so in-flight requests don't fail
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+// Token refreshes under way, by session id
+const refreshesInFlight = new Map();
+
+/**
+ * Encode bytes as base64url without padding
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} base64url string
+ */
+const base64url = (buffer) => buffer.toString('base64url');
+
+/**
+ * Create a PKCE code verifier and its S256 challenge
+ * @returns {Object} codeVerifier and codeChallenge
+ */
+const createPkcePair = () => {
+  // 64 random bytes encode to 86 characters, within the 43-128 allowed
+  const codeVerifier = base64url(crypto.randomBytes(64));
+  const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+  return { codeVerifier, codeChallenge };
+};
+
+/**
+ * Request tokens from the Spotify accounts service
+ * PKCE requests identify the app by client_id instead of the client secret.
+ * @param {Object} params - Grant parameters
+ * @param {string} flow - 'pkce' or 'code'
+ * @returns {Promise<Object>} Token response data
+ */
+const requestToken = async (params, flow) => {
+  const headers = {
+    'Content-Type': 'application/x-www-form-urlencoded'
+  };
+  const body = { ...params };
+
+  if (flow === 'pkce') {
+    body.client_id = CLIENT_ID;
+  } else {
+    headers.Authorization = 'Basic ' + (Buffer.from(CLIENT_ID + ':' + CLIENT_SECRET).toString('base64'));
+  }
+
+  const response = await axios({
+    method: 'post',
+    url: TOKEN_URL,
+    data: new URLSearchParams(body).toString(),
+    // A hung token call would hold up every request waiting on this session's refresh
+    timeout: REQUEST_TIMEOUT_MS,
+    headers
+  });
+
+  return response.data;
+};
+
+/**
+ * Build session token fields from a token response
+ * @param {Object} data - Token response data
+ * @param {string} [previousRefreshToken] - Kept when Spotify doesn't rotate it
+ * @returns {Object} accessToken, refreshToken and expiresAt
+ */
+const toSessionTokens = (data, previousRefreshToken) => ({
+  accessToken: data.access_token,
+  // Spotify only sometimes returns a new refresh token
+  refreshToken: data.refresh_token || previousRefreshToken,
+  expiresAt: Date.now() + (data.expires_in * 1000)
+});
+
+/**
+ * Exchange an authorization code for tokens
+ * @param {string} code - Authorization code from the callback
+ * @param {string} [codeVerifier] - PKCE verifier; switches to the PKCE exchange
+ * @returns {Promise<Object>} Session token fields, plus the flow used
+ */
+const exchangeCode = async (code, codeVerifier) => {
+  const flow = codeVerifier ? 'pkce' : 'code';
+  const params = {
+    code,
+    redirect_uri: REDIRECT_URI,
+    grant_type: 'authorization_code'
+  };
+
+  if (codeVerifier) {
+    params.code_verifier = codeVerifier;
+  }
+
+  const data = await requestToken(params, flow);
+
+  return { ...toSessionTokens(data), authFlow: flow };
+};
+
+/**
+ * Get a new access token using a refresh token
+ * @param {string} refreshToken - Refresh token from the session
+ * @param {string} [flow] - Flow the session was created with
+ * @returns {Promise<Object>} Session token fields
+ */
+const refreshAccessToken = async (refreshToken, flow = 'code') => {
+  const data = await requestToken({
+    refresh_token: refreshToken,
+    grant_type: 'refresh_token'
+  }, flow);
+
+  return toSessionTokens(data, refreshToken);
+};
+
+/**
+ * Refresh the session's tokens and save them
+ * Requests that find the token expired at the same time share one refresh:
+ * Spotify can rotate the refresh token, and a second refresh with the old one
+ * would fail and log the user out.
+ * @param {Object} req - Express request with a session
+ * @returns {Promise<Object>} Updated session
+ */
+const refreshSessionTokens = async (req) => {
+  let refresh = refreshesInFlight.get(req.sessionId);
+
+  if (!refresh) {
+    refresh = refreshAccessToken(req.session.refreshToken, req.session.authFlow)
+      .finally(() => refreshesInFlight.delete(req.sessionId));
+    refreshesInFlight.set(req.sessionId, refresh);
+  }
+
+  const tokens = await refresh;
+  Object.assign(req.session, tokens);
+  await req.saveSession();
+  return req.session;
+};
+
+/**
+ * Get a valid access token for the logged-in user, refreshing it if needed
+ * @param {Object} req - Express request
+ * @returns {Promise<string|null>} Access token, or null when not logged in
+ */
+const getSessionAccessToken = async (req) => {
+  if (!req.session || !req.session.refreshToken) {
+    return null;
+  }
+
+  if (Date.now() > req.session.expiresAt - EXPIRY_MARGIN_MS) {
+    await refreshSessionTokens(req);
+  }
+
+  return req.session.accessToken;
+};
+
+module.exports = {
+  AUTH_FLOW,
+  REDIRECT_URI,
+  createPkcePair,
+  exchangeCode,
+  refreshSessionTokens,
+  getSessionAccessToken
+};
@@ -0,0 +1,269 @@
+/**
+ * Spotify Web API Client
+ * Shared request helper for every call to api.spotify.com
+ */
+
+const axios = require('axios');
+
+// Spotify API credentials from environment variables
+const CLIENT_ID = process.env.CLIENT_ID;
+const CLIENT_SECRET = process.env.CLIENT_SECRET;
+
+const API_BASE_URL = 'https://api.spotify.com/v1';
+
+// Market used for anonymous catalog requests
+const DEFAULT_MARKET = process.env.DEFAULT_MARKET || 'US';
+const TOKEN_URL = 'https://accounts.spotify.com/api/token';
+
+// Request tuning (overridable from .env)
+const REQUEST_TIMEOUT_MS = parseInt(process.env.SPOTIFY_TIMEOUT_MS, 10) || 10000;
+const MAX_RETRIES = parseInt(process.env.SPOTIFY_MAX_RETRIES, 10) || 3;
+const BASE_BACKOFF_MS = 500;
+// Don't hold a request open longer than this waiting out a 429
+const MAX_RETRY_AFTER_SECONDS = 30;
+
+// Methods that are safe to repeat after a 5xx or network failure
+const IDEMPOTENT_METHODS = ['get', 'put', 'delete'];
+
+/**
+ * Error thrown for any failed Spotify API call
+ */
+class SpotifyApiError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status to report
+   * @param {Object} [extra] - Optional retryAfter (seconds) and details
+   */
+  constructor(message, status, { retryAfter = null, details = null } = {}) {
+    super(message);
+    this.name = 'SpotifyApiError';
+    this.status = status;
+    this.retryAfter = retryAfter;
+    this.details = details;
+  }
+}
+
+// Cache for the token to avoid unnecessary requests
+let tokenData = {
+  token: null,
+  expires: 0
+};
+
+/**
+ * Get and cache Spotify API token (client credentials flow)
+ * @returns {Promise<string>} Access token
+ */
+const getSpotifyToken = async () => {
+  // Check if we have a valid token
+  const now = Date.now();
+  if (tokenData.token && tokenData.expires > now) {
+    return tokenData.token;
+  }
+
+  try {
+    // Request new token
+    const response = await axios({
+      method: 'post',
+      url: TOKEN_URL,
+      params: {
+        grant_type: 'client_credentials'
+      },
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Authorization': `Basic ${Buffer.from(`${CLIENT_ID}:${CLIENT_SECRET}`).toString('base64')}`
+      },
+      timeout: REQUEST_TIMEOUT_MS
+    });
+
+    // Cache the token with expiration
+    tokenData.token = response.data.access_token;
+    // Set expiration time (subtract 60s for safety margin)
+    tokenData.expires = now + (response.data.expires_in - 60) * 1000;
+
+    return tokenData.token;
+  } catch (error) {
+    console.error('Error getting Spotify token:', error.message);
+    throw new SpotifyApiError('Failed to obtain Spotify access token', 502);
+  }
+};
+
+/**
+ * Get the expiry time of the cached client credentials token
+ * @returns {number} Expiry timestamp in milliseconds
+ */
+const getTokenExpiry = () => tokenData.expires;
+
+/**
+ * Forget the cached token so the next request fetches a new one
+ */
+const invalidateToken = () => {
+  tokenData = { token: null, expires: 0 };
+};
+
+/**
+ * Wait for the given number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Exponential backoff with jitter for the given attempt
+ * @param {number} attempt - Zero-based attempt number
+ * @returns {number} Delay in milliseconds
+ */
+const backoffDelay = (attempt) => {
+  const delay = BASE_BACKOFF_MS * Math.pow(2, attempt);
+  return delay + Math.floor(Math.random() * BASE_BACKOFF_MS);
+};
+
+/**
+ * Read the Retry-After header (seconds or HTTP date) from a response
+ * @param {Object} response - Axios response
+ * @returns {number} Seconds to wait
+ */
+const parseRetryAfter = (response) => {
+  const header = response.headers && response.headers['retry-after'];
+  if (!header) return 1;
+
+  const seconds = parseInt(header, 10);
+  if (!isNaN(seconds)) return Math.max(seconds, 0);
+
+  const date = Date.parse(header);
+  if (!isNaN(date)) return Math.max(Math.ceil((date - Date.now()) / 1000), 0);
+
+  return 1;
+};
+
+/**
+ * Convert an axios error into a SpotifyApiError
+ * @param {Error} error - Axios error
+ * @returns {SpotifyApiError}
+ */
+const toSpotifyError = (error) => {
+  if (error instanceof SpotifyApiError) return error;
+
+  if (error.response) {
+    const { status, data } = error.response;
+    const message = (data && data.error && data.error.message) || error.message;
+    return new SpotifyApiError(message, status, {
+      retryAfter: status === 429 ? parseRetryAfter(error.response) : null,
+      details: data
+    });
+  }
+
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    return new SpotifyApiError('Spotify API request timed out', 504);
+  }
+
+  return new SpotifyApiError(`Could not reach Spotify: ${error.message}`, 502);
+};
+
+/**
+ * Make a request to the Spotify Web API
+ * Retries 429s (honouring Retry-After), transient 5xx and network errors,
+ * and refreshes the client credentials token once on a 401.
+ * @param {Object} options - Request options
+ * @param {string} options.url - Path relative to /v1 (or a full URL, e.g. a `next` link)
+ * @param {string} [options.method] - HTTP method (default GET)
+ * @param {Object} [options.params] - Query parameters
+ * @param {Object} [options.data] - JSON body
+ * @param {string} [options.token] - User access token; defaults to the app token
+ * @param {AbortSignal} [options.signal] - Cancels the request and any retries
+ * @returns {Promise<Object>} Response data
+ */
+const spotifyRequest = async ({ url, method = 'get', params, data, token, signal } = {}) => {
+  const verb = method.toLowerCase();
+  let refreshedToken = false;
+
+  for (let attempt = 0; ; attempt++) {
+    const accessToken = token || await getSpotifyToken();
+
+    try {
+      const response = await axios({
+        method: verb,
+        baseURL: API_BASE_URL,
+        url,
+        params,
+        data,
+        timeout: REQUEST_TIMEOUT_MS,
+        signal,
+        headers: {
+          'Authorization': `Bearer ${accessToken}`
+        }
+      });
+
+      return response.data;
+    } catch (error) {
+      // Nobody is waiting for the answer any more
+      if (signal && signal.aborted) {
+        throw toSpotifyError(error);
+      }
+
+      const status = error.response ? error.response.status : null;
+      const canRetry = attempt < MAX_RETRIES;
+
+      // App token expired or revoked: fetch a new one and try again
+      if (status === 401 && !token && !refreshedToken) {
+        console.warn('Spotify rejected the app token, requesting a new one');
+        invalidateToken();
+        refreshedToken = true;
+        continue;
+      }
+
+      // Rate limited: wait as long as Spotify asks, within reason
+      if (status === 429) {
+        const retryAfter = parseRetryAfter(error.response);
+        if (canRetry && retryAfter <= MAX_RETRY_AFTER_SECONDS) {
+          console.warn(`Spotify rate limit hit on ${url}, retrying in ${retryAfter}s`);
+          await sleep(retryAfter * 1000);
+          continue;
+        }
+        throw toSpotifyError(error);
+      }
+
+      // Transient server or network failure
+      const isTransient = status === null || status >= 500;
+      if (isTransient && canRetry && IDEMPOTENT_METHODS.includes(verb)) {
+        const delay = backoffDelay(attempt);
+        console.warn(`Spotify request to ${url} failed (${status || error.code}), retrying in ${delay}ms`);
+        await sleep(delay);
+        continue;
+      }
+
+      throw toSpotifyError(error);
+    }
+  }
+};
+
+/**
+ * Fetch every page of a paged Spotify endpoint by following `next` links
+ * @param {Object} options - Same options as spotifyRequest for the first page
+ * @param {number} [maxPages] - Safety cap on the number of pages fetched
+ * @returns {Promise<Array>} All items across pages
+ */
+const spotifyRequestAllPages = async ({ url, params, token }, maxPages = 20) => {
+  const items = [];
+  let page = await spotifyRequest({ url, params, token });
+
+  for (let count = 1; page; count++) {
+    items.push(...(page.items || []));
+
+    if (!page.next || count >= maxPages) break;
+
+    // `next` already carries the query string, so params are not repeated
+    page = await spotifyRequest({ url: page.next, token });
+  }
+
+  return items;
+};
+
+module.exports = {
+  DEFAULT_MARKET,
+  SpotifyApiError,
+  REQUEST_TIMEOUT_MS,
+  getSpotifyToken,
+  getTokenExpiry,
+  spotifyRequest,
+  spotifyRequestAllPages
+};
@@ -0,0 +1,50 @@
+/**
+ * Async Helpers
+ * Small helpers for batching Spotify requests and keeping a limited number
+ * of them in flight.
+ */
+
+/**
+ * Map over items with at most `limit` promises in flight
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrency
+ * @param {Function} fn - Async mapper
+ * @returns {Promise<Array>} Settled results in input order
+ */
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await fn(items[index], index) };
+      } catch (error) {
+        results[index] = { status: 'rejected', reason: error };
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
+
+/**
+ * Split an array into chunks
+ * @param {Array} items - Items to split
+ * @param {number} size - Chunk size
+ * @returns {Array<Array>} Chunks
+ */
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+module.exports = {
+  mapWithConcurrency,
+  chunk
+};
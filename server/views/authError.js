@@ -0,0 +1,46 @@
+/**
+ * Authentication Error Page
+ * Rendered by the OAuth callback instead of redirecting with an error in the URL
+ */
+
+/**
+ * Escape text for safe inclusion in HTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Render the login error page
+ * @param {Object} options - Page content
+ * @param {string} options.title - Short heading
+ * @param {string} options.message - Explanation for the user
+ * @returns {string} HTML document
+ */
+const renderAuthError = ({ title, message }) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Login failed - Virtual Vinyl Player</title>
+    <link rel="stylesheet" href="/css/style.css">
+</head>
+<body>
+    <h1>Virtual Vinyl Player</h1>
+    <div class="auth-error">
+        <h2>${escapeHtml(title)}</h2>
+        <p class="error-message">${escapeHtml(message)}</p>
+        <div class="auth-error-actions">
+            <a class="auth-button login-button" href="/auth/login">Try again</a>
+            <a class="auth-button back-button" href="/">Back to the player</a>
+        </div>
+    </div>
+</body>
+</html>`;
+
+module.exports = renderAuthError;